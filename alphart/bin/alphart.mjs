@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Converts a PNG or JPEG image to ASCII art from the command line. See CLI_USAGE for the flags.
+import { readFile, writeFile } from 'fs/promises';
+import { parseCliArgs, convertImageFile, CLI_USAGE } from '../src/lib/cli.js';
+
+const main = async () => {
+    let args;
+    try {
+        args = parseCliArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`alphart: ${error.message}\n\n${CLI_USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        process.stdout.write(CLI_USAGE);
+        return 0;
+    }
+
+    try {
+        const art = convertImageFile(await readFile(args.input), args.options, args);
+        if (args.output) {
+            await writeFile(args.output, art);
+        } else {
+            process.stdout.write(art);
+        }
+        return 0;
+    } catch (error) {
+        process.stderr.write(`alphart: ${error.message}\n`);
+        return 1;
+    }
+};
+
+main().then((code) => {
+    process.exitCode = code;
+});
@@ -1,237 +1,783 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import {
+    gridToText, gridFromText, renderAsciiGrid, getOutputSize, RENDER_MODES, SIZE_MODES, TERMINAL_SIZES, DEFAULT_OPTIONS,
+    HEIGHT_MODE_MAX_WIDTH,
+} from './lib/asciiRenderer';
+import { CHARSET_PRESETS, parseCharset, calibrateRamp } from './lib/charsets';
+import { measureGlyphCoverage } from './lib/glyphDensity';
+import { computeHistogram } from './lib/adjustments';
+import { decodeImage, readImagePixels } from './lib/imageLoader';
+import { createConverter } from './lib/converter';
+import { DITHER_MODES } from './lib/dither';
+import { RESAMPLING_MODES } from './lib/resample';
+import { EXPORT_FORMATS, groupColorRuns } from './lib/exporters';
+import { gridToPngBlob, PNG_FONTS, DEFAULT_PNG_OPTIONS } from './lib/pngExport';
+import { ANIMATION_MAX_WIDTH, MAX_ANIMATION_FRAMES } from './lib/animation';
+import { decodeGifFrames } from './lib/gifFrames';
+import { sampleVideoFrames } from './lib/videoFrames';
+import { framesToJson, framesToHtmlPlayer, framesToGifBlob } from './lib/animationExport';
+import { startCamera } from './lib/camera';
+import { describeImage, loadDescriptionSettings, saveDescriptionSettings } from './lib/descriptionProviders';
+import { CAPTION_MODES, extractCaption } from './lib/captions';
+import { DEFAULT_TRANSFORM, transformedSize } from './lib/transform';
+import { loadLastSettings, saveLastSettings } from './lib/presets';
+import { decodeShareHash } from './lib/shareLink';
+import { batchToZip } from './lib/batchExport';
+import {
+    FONT_PRESETS, MIN_CHAR_ASPECT_RATIO, MAX_CHAR_ASPECT_RATIO, presetAspectRatio, lineHeightFor,
+} from './lib/fontMetrics';
+import AdjustmentsPanel from './components/AdjustmentsPanel';
+import AnimationPlayer from './components/AnimationPlayer';
+import DescriptionSettings from './components/DescriptionSettings';
+import CropEditor from './components/CropEditor';
+import PresetsPanel from './components/PresetsPanel';
+import BatchQueue from './components/BatchQueue';
+
+// The histogram is computed on a downscaled copy of the upload, which is plenty for its 256 bins
+const HISTOGRAM_MAX_WIDTH = 512;
+
+// Settings changes re-render the preview after this many milliseconds without further changes
+const LIVE_PREVIEW_DELAY = 250;
+
+// Above this width the preview no longer follows the settings; the Convert button renders it instead
+const LIVE_PREVIEW_MAX_WIDTH = 200;
+
+// Frames sampled per second of an uploaded video, unless changed
+const DEFAULT_VIDEO_FPS = 10;
+
+// Camera frames converted per second
+const CAMERA_FPS = 15;
+
+// Camera frames are read with fewer pixels per character than uploads, to keep up with the frame rate
+const CAMERA_SAMPLES_PER_CHAR = 2;
+
+/**
+ * Saves a Blob through a temporary download link.
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - The suggested file name.
+ */
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url); // Clean up the URL object
+};
 
 // Main App component
 const App = () => {
+    // A share link's settings and art, read once; otherwise the settings of the last visit
+    const [sharedLink] = useState(() => decodeShareHash(window.location.hash));
+    const [initialSettings] = useState(() => (sharedLink ? sharedLink.settings : loadLastSettings()));
+
     // State variables
     const [imageSrc, setImageSrc] = useState(null); // Stores the URL of the uploaded image
-    const [asciiArt, setAsciiArt] = useState(''); // Stores the generated ASCII art string
+    const [sourceImage, setSourceImage] = useState(null); // The uploaded image, decoded once for every conversion
+    const [sourceFrames, setSourceFrames] = useState(null); // The frames of an uploaded GIF animation or video
+    const [videoFile, setVideoFile] = useState(null); // The uploaded video, kept to sample it again at another rate
+    const [videoFps, setVideoFps] = useState(DEFAULT_VIDEO_FPS); // Frames sampled per second of video
+    const [asciiFrames, setAsciiFrames] = useState(null); // The converted frames of an animation
+    const [frameIndex, setFrameIndex] = useState(0); // The animation frame on show
+    const [cameraStatus, setCameraStatus] = useState('off'); // 'off', 'starting' or 'on'
+    const [cameraGrid, setCameraGrid] = useState(null); // The latest converted camera frame
+    const [asciiGrid, setAsciiGrid] = useState( // Stores the generated grid of character cells
+        () => (sharedLink && sharedLink.art ? gridFromText(sharedLink.art) : null)
+    );
     const [isLoading, setIsLoading] = useState(false); // Indicates if conversion is in progress
-    const [asciiWidth, setAsciiWidth] = useState(120); // Desired character width for the ASCII art output
+    const [progress, setProgress] = useState(0); // Finished fraction (0-1) of the conversion in progress
+    const [sizeMode, setSizeMode] = useState(initialSettings.sizeMode); // Size the output by width, height or terminal size
+    const [asciiWidth, setAsciiWidth] = useState(initialSettings.asciiWidth); // Desired character width for the ASCII art output
+    const [asciiHeight, setAsciiHeight] = useState(initialSettings.asciiHeight); // Desired number of lines, when sizing by height
+    const [terminalSize, setTerminalSize] = useState(initialSettings.terminalSize); // Terminal the output fits, when sizing to a terminal
+    const [fontPreset, setFontPreset] = useState(initialSettings.fontPreset); // Font the preview uses and the metrics follow
+    const [charAspectRatio, setCharAspectRatio] = useState(initialSettings.charAspectRatio); // Cell width / height
     const [message, setMessage] = useState(''); // General messages to the user
     const [isModalOpen, setIsModalOpen] = useState(false); // State for the custom modal
     const [modalContent, setModalContent] = useState(''); // Content for the custom modal
-    const [invertColors, setInvertColors] = useState(false); // State for color inversion toggle
-    const [useAlphanumericOnly, setUseAlphanumericOnly] = useState(false); // New state for alphanumeric characters toggle
+    const [invertColors, setInvertColors] = useState(initialSettings.invertColors); // State for color inversion toggle
+    const [charsetId, setCharsetId] = useState(initialSettings.charsetId); // Selected ramp preset, or 'custom'
+    const [customCharset, setCustomCharset] = useState(initialSettings.customCharset); // Characters typed for the custom ramp
+    const [colorMode, setColorMode] = useState(initialSettings.colorMode); // Render each character in its cell's color
+    const [exportFormat, setExportFormat] = useState('txt'); // Selected download format
+    const [pngOptions, setPngOptions] = useState({ // Font and colors used for PNG export
+        ...DEFAULT_PNG_OPTIONS,
+        fontFamily: FONT_PRESETS[initialSettings.fontPreset].fontFamily,
+    });
+    const [renderMode, setRenderMode] = useState(initialSettings.renderMode); // Character ramp or a sub-character mode
+    const [threshold, setThreshold] = useState(initialSettings.threshold); // Lit threshold for braille dots and half blocks
+    const [adjustments, setAdjustments] = useState(initialSettings.adjustments); // Brightness, contrast and other tonal adjustments
+    const [transform, setTransform] = useState(DEFAULT_TRANSFORM); // Crop, rotation and flips of the uploaded image
+    const [sourceHistogram, setSourceHistogram] = useState(null); // Luminance histogram of the uploaded image
+    const [dither, setDither] = useState(initialSettings.dither); // Dithering applied across the character ramp
+    const [edges, setEdges] = useState(initialSettings.edges); // Draw outlines with directional characters
+    const [edgeThreshold, setEdgeThreshold] = useState(initialSettings.edgeThreshold); // Minimum edge strength for outlines
+    const [edgesOnly, setEdgesOnly] = useState(initialSettings.edgesOnly); // Leave everything but the outlines blank
+    const [resampling, setResampling] = useState(initialSettings.resampling); // Resampling mode used to downscale the image
     const [imageDescription, setImageDescription] = useState(''); // New state for generated image description
     const [isDescribingImage, setIsDescribingImage] = useState(false); // Loading state for image description
+    const [descriptionSettings, setDescriptionSettings] = useState(loadDescriptionSettings); // Provider used to describe images
+    const [describedCaption, setDescribedCaption] = useState(''); // Caption picked out of the last description
+    const [captionMode, setCaptionMode] = useState(initialSettings.captionMode); // How the caption is put into the art
+    const [captionText, setCaptionText] = useState(initialSettings.captionText); // Caption put into the art, typed or from the description
+    const [batchItems, setBatchItems] = useState([]); // Files of the batch conversion, see BatchQueue
+    const [isDragging, setIsDragging] = useState(false); // Files are being dragged over the upload area
+
+    // The grid on show: the live camera frame, the current frame of an animation, or the converted image
+    const currentGrid = cameraGrid
+        || (asciiFrames ? asciiFrames[Math.min(frameIndex, asciiFrames.length - 1)].grid : asciiGrid);
+    const hasSource = Boolean(sourceImage || sourceFrames);
+
+    // The generated ASCII art as plain text
+    const asciiArt = useMemo(() => (currentGrid ? gridToText(currentGrid) : ''), [currentGrid]);
+
+    // The ramp used for conversion. Custom ramps are sorted and spaced by the
+    // ink coverage of each glyph, measured in the output font.
+    const ramp = useMemo(() => {
+        if (charsetId !== 'custom') {
+            return { chars: CHARSET_PRESETS[charsetId].chars, levels: null };
+        }
+        const chars = parseCharset(customCharset);
+        if (chars.length < 2) {
+            return null;
+        }
+        const coverages = measureGlyphCoverage(chars, pngOptions.fontFamily);
+        return coverages ? calibrateRamp(chars, coverages) : { chars, levels: null };
+    }, [charsetId, customCharset, pngOptions.fontFamily]);
+
+    // Options for the converter, rebuilt only when a setting changes
+    const conversionOptions = useMemo(() => ({
+        ...(sizeMode === 'width' && { width: asciiWidth, height: null }),
+        ...(sizeMode === 'height' && { width: HEIGHT_MODE_MAX_WIDTH, height: asciiHeight, fit: true }),
+        ...(sizeMode === 'terminal' && {
+            width: TERMINAL_SIZES[terminalSize].columns,
+            height: TERMINAL_SIZES[terminalSize].rows,
+            fit: true,
+        }),
+        charAspectRatio,
+        ...(ramp && { charset: ramp.chars, levels: ramp.levels }),
+        invert: invertColors,
+        resampling,
+        mode: renderMode,
+        threshold,
+        color: colorMode,
+        transform,
+        adjustments,
+        dither,
+        edges,
+        edgeThreshold,
+        edgesOnly,
+        caption: captionText,
+        captionMode,
+    }), [sizeMode, asciiWidth, asciiHeight, terminalSize, charAspectRatio, ramp, invertColors, resampling, renderMode,
+        threshold, colorMode, transform, adjustments, dither, edges, edgeThreshold, edgesOnly, captionText, captionMode]);
+
+    // Output size for the current source, or null before there is one
+    const outputSize = useMemo(() => {
+        const source = sourceImage || (sourceFrames && sourceFrames[0].imageData);
+        if (!source) {
+            return null;
+        }
+        const region = transformedSize(source.width, source.height, transform);
+        return getOutputSize(region.width, region.height, { ...DEFAULT_OPTIONS, ...conversionOptions });
+    }, [sourceImage, sourceFrames, transform, conversionOptions]);
+
+    // The preview draws character cells with the same aspect ratio the art was sized for
+    const previewLineHeight = lineHeightFor(FONT_PRESETS[fontPreset].advance, charAspectRatio);
+
+    /**
+     * Picks a font preset, taking its character aspect ratio and using it for PNG export too.
+     * @param {string} presetId - One of the FONT_PRESETS keys.
+     */
+    const selectFontPreset = (presetId) => {
+        setFontPreset(presetId);
+        setCharAspectRatio(presetAspectRatio(presetId));
+        setPngOptions((options) => ({ ...options, fontFamily: FONT_PRESETS[presetId].fontFamily }));
+    };
+
+    // The settings a preset or share link holds, see DEFAULT_SETTINGS in presets.js
+    const settings = useMemo(() => ({
+        sizeMode, asciiWidth, asciiHeight, terminalSize, fontPreset, charAspectRatio, invertColors, charsetId,
+        customCharset, colorMode, renderMode, threshold, adjustments, dither, edges, edgeThreshold, edgesOnly,
+        resampling, captionMode, captionText,
+    }), [sizeMode, asciiWidth, asciiHeight, terminalSize, fontPreset, charAspectRatio, invertColors, charsetId,
+        customCharset, colorMode, renderMode, threshold, adjustments, dither, edges, edgeThreshold, edgesOnly,
+        resampling, captionMode, captionText]);
+
+    /**
+     * Switches every setting to those of a preset.
+     * @param {Object} preset - Complete settings, see DEFAULT_SETTINGS in presets.js.
+     */
+    const applySettings = (preset) => {
+        setSizeMode(preset.sizeMode);
+        setAsciiWidth(preset.asciiWidth);
+        setAsciiHeight(preset.asciiHeight);
+        setTerminalSize(preset.terminalSize);
+        setFontPreset(preset.fontPreset);
+        setCharAspectRatio(preset.charAspectRatio);
+        setPngOptions((options) => ({ ...options, fontFamily: FONT_PRESETS[preset.fontPreset].fontFamily }));
+        setInvertColors(preset.invertColors);
+        setCharsetId(preset.charsetId);
+        setCustomCharset(preset.customCharset);
+        setColorMode(preset.colorMode);
+        setRenderMode(preset.renderMode);
+        setThreshold(preset.threshold);
+        setAdjustments(preset.adjustments);
+        setDither(preset.dither);
+        setEdges(preset.edges);
+        setEdgeThreshold(preset.edgeThreshold);
+        setEdgesOnly(preset.edgesOnly);
+        setResampling(preset.resampling);
+        setCaptionMode(preset.captionMode);
+        setCaptionText(preset.captionText);
+    };
+
+    // Remember the settings for the next visit
+    useEffect(() => {
+        saveLastSettings(settings);
+    }, [settings]);
 
     // Refs for accessing DOM elements
     const canvasRef = useRef(null); // Ref to the hidden canvas element
     const fileInputRef = useRef(null); // Ref to the file input element
+    const converterRef = useRef(null); // Runs conversions in a Web Worker
+    const uploadIdRef = useRef(0); // Bumped on every upload, so slow decodes of earlier uploads are dropped
+    const videoSamplingRef = useRef(null); // AbortController of the video being sampled, if any
+    const videoRef = useRef(null); // Ref to the hidden video element the camera plays into
+    const cameraRef = useRef(null); // The running camera, see startCamera
+    const cameraIdRef = useRef(0); // Incremented on every camera start or stop, so a superseded start is dropped
+    const describeControllerRef = useRef(null); // Aborts the description request in progress
+    const batchConverterRef = useRef(null); // Runs batch conversions, apart from the preview's converter
+    const batchIdRef = useRef(0); // Bumped on every batch, so a stopped batch leaves the queue alone
+    const batchExportRef = useRef(null); // Export options of the batch, fixed when it starts like its conversion options
 
-    // ASCII character set, ordered from lightest to darkest visual density
-    // This set includes a mix of characters and punctuation.
-    const REVERSED_ALL_ASCII_CHARS = [
-        ' ', '.', ',', ':', ';', '+', '*', '?', '%', 'S', '#', '@'
-    ];
+    // Create the converters once the hidden canvas exists, and stop them when the app unmounts
+    useEffect(() => {
+        const converter = createConverter(canvasRef.current);
+        const batchConverter = createConverter(canvasRef.current);
+        converterRef.current = converter;
+        batchConverterRef.current = batchConverter;
+        return () => {
+            converter.dispose();
+            batchConverter.dispose();
+        };
+    }, []);
 
-    // Alphanumeric ASCII character set, ordered from lightest to darkest visual density
-    // This set contains only letters and numbers for a different stylistic effect.
-    const REVERSED_ALPHANUMERIC_CHARS = [
-        ' ', '.', '1', 'l', 't', 'c', 'e', 's', 'u', 'd', 'h', 'k', 'm', '0', '8', 'M', 'W'
-    ];
+    /**
+     * Uses decoded animation frames as the conversion source.
+     * @param {import('./lib/animation').AnimationFrame[]} frames - The source frames.
+     */
+    const loadFrames = (frames) => {
+        converterRef.current.setFrames(frames);
+        setSourceFrames(frames);
+        setSourceHistogram(computeHistogram(frames[0].imageData));
+    };
 
+    /**
+     * Starts a new upload, dropping any earlier one still decoding or being sampled.
+     * @returns {number} The id of the upload, see uploadIdRef.
+     */
+    const nextUpload = () => {
+        if (videoSamplingRef.current) {
+            videoSamplingRef.current.abort();
+            videoSamplingRef.current = null;
+        }
+        return ++uploadIdRef.current;
+    };
 
     /**
-     * Handles file selection by the user.
-     * Reads the selected image and sets it as the image source.
-     * @param {Object} event - The change event from the file input.
+     * Samples the frames of an uploaded video and uses them as the conversion source.
+     * @param {File} file - The video file.
+     * @param {number} fps - Frames sampled per second of video.
+     */
+    const loadVideo = async (file, fps) => {
+        const uploadId = nextUpload();
+        const controller = new AbortController();
+        videoSamplingRef.current = controller;
+        converterRef.current.cancel();
+        setIsLoading(false);
+        setSourceFrames(null);
+        setAsciiFrames(null);
+        setMessage('Reading video frames...');
+        try {
+            const { frames, poster } = await sampleVideoFrames(file, {
+                fps,
+                maxFrames: MAX_ANIMATION_FRAMES,
+                maxWidth: ANIMATION_MAX_WIDTH,
+                canvas: canvasRef.current,
+                signal: controller.signal,
+            });
+            if (uploadId !== uploadIdRef.current) {
+                return; // Another file or frame rate was picked meanwhile
+            }
+            setImageSrc(poster);
+            loadFrames(frames);
+        } catch (error) {
+            if (uploadId === uploadIdRef.current) {
+                showModal(error.message);
+                setMessage('Video loading failed.');
+            }
+        } finally {
+            if (videoSamplingRef.current === controller) {
+                videoSamplingRef.current = null;
+            }
+        }
+    };
+
+    /**
+     * Decodes an uploaded image. Animated GIFs are decoded frame by frame, other images once for every conversion.
+     * @param {File} file - The image file.
+     */
+    const loadImage = async (file) => {
+        const uploadId = nextUpload();
+        try {
+            if (file.type === 'image/gif') {
+                const frames = decodeGifFrames(await file.arrayBuffer(), {
+                    maxFrames: MAX_ANIMATION_FRAMES,
+                    maxWidth: ANIMATION_MAX_WIDTH,
+                });
+                if (uploadId !== uploadIdRef.current) {
+                    return;
+                }
+                if (frames.length > 1) {
+                    loadFrames(frames);
+                    return;
+                }
+            }
+
+            const decoded = await decodeImage(file);
+            if (uploadId !== uploadIdRef.current) {
+                return;
+            }
+            converterRef.current.setImage(decoded);
+            setSourceImage(decoded);
+            setSourceHistogram(computeHistogram(readImagePixels(decoded, canvasRef.current, HISTOGRAM_MAX_WIDTH)));
+        } catch (error) {
+            if (uploadId === uploadIdRef.current) {
+                // A DecodeError already explains itself; anything else (out of memory, say) is passed on as is
+                showModal(error.name === 'DecodeError' ? error.message : 'Could not load image: ' + error.message);
+                setMessage('Image loading failed.');
+            }
+        }
+    };
+
+    /**
+     * Stops the batch in progress, if any, and empties the queue.
+     */
+    const clearBatch = () => {
+        batchIdRef.current++;
+        batchConverterRef.current.cancel();
+        batchItems.forEach((item) => item.thumbnail && URL.revokeObjectURL(item.thumbnail));
+        setBatchItems([]);
+    };
+
+    /**
+     * Converts several images one after another with the current settings, replacing the previous batch.
+     * Each file's status and result are kept in its queue entry.
+     * @param {File[]} files - The image files.
+     */
+    const runBatch = async (files) => {
+        if (renderMode === 'ramp' && !ramp) {
+            showModal('Please enter at least two different characters for the custom character set.');
+            return;
+        }
+        clearBatch();
+        const batchId = batchIdRef.current;
+        // Settings changed during the batch apply to the next one. A crop only makes sense for the image it was drawn on
+        const options = { ...conversionOptions, transform: DEFAULT_TRANSFORM };
+        batchExportRef.current = { color: colorMode, charAspectRatio };
+        const items = files.map((file, i) => {
+            const isImage = file.type.startsWith('image/');
+            return {
+                id: `${batchId}-${i}`,
+                name: file.name,
+                thumbnail: isImage ? URL.createObjectURL(file) : null,
+                status: isImage ? 'queued' : 'error',
+                error: isImage ? null : 'Only images can be converted in a batch.',
+                grid: null,
+            };
+        });
+        setBatchItems(items);
+
+        const updateItem = (id, changes) => setBatchItems((current) =>
+            current.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+
+        for (let i = 0; i < files.length; i++) {
+            if (batchId !== batchIdRef.current) {
+                return; // Stopped, or replaced by another batch
+            }
+            const { id, status } = items[i];
+            if (status !== 'queued') {
+                continue;
+            }
+            updateItem(id, { status: 'converting' });
+            let decoded = null;
+            try {
+                decoded = await decodeImage(files[i]);
+                if (batchId !== batchIdRef.current) {
+                    return;
+                }
+                batchConverterRef.current.setImage(decoded);
+                const grid = await batchConverterRef.current.convert(options);
+                updateItem(id, { status: 'done', grid });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                updateItem(id, { status: 'error', error: error.message });
+            } finally {
+                // Free each bitmap as soon as it is converted, rather than whenever it is garbage collected
+                if (decoded && decoded.close) {
+                    decoded.close();
+                }
+            }
+        }
+    };
+
+    /**
+     * Downloads every finished batch result as a ZIP, in all the text export formats.
+     */
+    const downloadBatch = () => {
+        const results = batchItems.filter((item) => item.status === 'done');
+        const zip = batchToZip(results, batchExportRef.current);
+        downloadBlob(new Blob([zip], { type: 'application/zip' }), 'ascii_art.zip');
+    };
+
+    /**
+     * Handles files picked or dropped by the user. Several files are converted as a batch.
+     * A single image is read for the preview and decoded once for conversion;
+     * videos are sampled into frames instead.
+     * @param {FileList|File[]} fileList - The files.
      */
-    const handleFileChange = (event) => {
-        const file = event.target.files[0];
+    const handleFiles = (fileList) => {
+        const files = Array.from(fileList);
+        if (files.length > 1) {
+            runBatch(files);
+            return;
+        }
+        const file = files[0];
         if (file) {
+            stopCamera();
+            cancelDescription();
+            converterRef.current.cancel(); // Drop any conversion of the previous image
+            setIsLoading(false);
             setMessage(''); // Clear previous messages
-            setAsciiArt(''); // Clear previous ASCII art
+            setAsciiGrid(null); // Clear previous ASCII art
+            setAsciiFrames(null);
+            setFrameIndex(0);
             setImageDescription(''); // Clear previous description
+            setDescribedCaption('');
+            setTransform(DEFAULT_TRANSFORM); // A crop only makes sense for the image it was drawn on
+            setSourceImage(null);
+            setSourceFrames(null);
+            setSourceHistogram(null);
+
+            if (file.type.startsWith('video/')) {
+                setVideoFile(file);
+                setImageSrc(null); // The first frame becomes the preview once sampled
+                loadVideo(file, videoFps);
+                return;
+            }
+
+            setVideoFile(null);
             const reader = new FileReader();
             reader.onloadend = () => {
-                setImageSrc(reader.result); // Set the image source for display and processing
+                setImageSrc(reader.result); // Set the image source for display and the description
             };
             reader.onerror = () => {
                 showModal('Error reading file. Please try again.');
             };
             reader.readAsDataURL(file); // Read file as Data URL
+
+            loadImage(file);
+        }
+    };
+
+    /**
+     * Handles file selection through the file input.
+     * @param {Object} event - The change event from the file input.
+     */
+    const handleFileChange = (event) => handleFiles(event.target.files);
+
+    /**
+     * Handles files dropped on the upload area.
+     * @param {DragEvent} event - The drop event.
+     */
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setIsDragging(false);
+        handleFiles(event.dataTransfer.files);
+    };
+
+    /**
+     * Changes the video sample rate, and samples the uploaded video again.
+     * @param {number} fps - Frames sampled per second of video.
+     */
+    const changeVideoFps = (fps) => {
+        setVideoFps(fps);
+        if (videoFile) {
+            loadVideo(videoFile, fps);
         }
     };
 
     /**
      * Converts the uploaded image to ASCII art.
-     * This function is triggered by the 'Convert' button.
+     * Runs automatically when the settings change, and from the 'Convert' button for large outputs.
      */
-    const convertImageToAscii = () => {
-        if (!imageSrc) {
+    const convertImageToAscii = async () => {
+        if (!hasSource) {
             showModal('Please upload an image first.');
             return;
         }
+        if (renderMode === 'ramp' && !ramp) {
+            showModal('Please enter at least two different characters for the custom character set.');
+            return;
+        }
 
         setIsLoading(true); // Start loading indicator
-        setAsciiArt(''); // Clear previous output
+        setProgress(0);
         setMessage('Converting image...');
 
-        const img = new Image();
-        img.crossOrigin = 'Anonymous'; // Required for some image origins on canvas
-        img.onload = () => {
-            const canvas = canvasRef.current;
-            const ctx = canvas.getContext('2d');
-
-            // Set canvas dimensions to the image dimensions for initial drawing
-            canvas.width = img.width;
-            canvas.height = img.height;
-
-            // Draw the image onto the canvas
-            ctx.drawImage(img, 0, 0, img.width, img.height);
-
-            // Calculate the dimensions for the ASCII art output
-            // Monospace characters are typically taller than they are wide.
-            // A common character aspect ratio (width/height) for monospace fonts is around 0.5.
-            const charAspectRatio = 0.5; // Adjust this value based on your preferred font's actual ratio
-
-            const originalWidth = img.width;
-            const originalHeight = img.height;
-
-            // Calculate new height based on desired ASCII width and character aspect ratio
-            const newHeight = Math.floor((originalHeight / originalWidth) * asciiWidth * charAspectRatio);
-
-            // Get image data from the canvas
-            const imageData = ctx.getImageData(0, 0, originalWidth, originalHeight);
-            const data = imageData.data; // Raw pixel data (R, G, B, A for each pixel)
-
-            let ascii = '';
+        try {
+            // Downscaling and conversion happen in a worker; the previous output stays until this one is ready
+            if (sourceFrames) {
+                const frames = await converterRef.current.convertFrames(conversionOptions, setProgress);
+                setAsciiFrames(frames);
+            } else {
+                const grid = await converterRef.current.convert(conversionOptions, setProgress);
+                setAsciiGrid(grid); // Set the generated ASCII art
+            }
+            setMessage('Conversion complete!');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return; // Superseded by a newer conversion or upload
+            }
+            showModal('Could not convert image: ' + error.message);
+            setMessage('Conversion failed.');
+        }
+        setIsLoading(false); // Stop loading indicator
+    };
 
-            // Determine which character set to use based on the toggle
-            const currentAsciiCharSet = useAlphanumericOnly
-                ? REVERSED_ALPHANUMERIC_CHARS
-                : REVERSED_ALL_ASCII_CHARS;
+    // Re-render the preview (debounced) whenever the image or any setting changes.
+    // The latest convertImageToAscii is reached through a ref so the effect only tracks the settings.
+    const convertRef = useRef(convertImageToAscii);
+    convertRef.current = convertImageToAscii;
+    const isLivePreview = !outputSize || outputSize.width <= LIVE_PREVIEW_MAX_WIDTH;
+    const hasRamp = renderMode !== 'ramp' || Boolean(ramp); // Incomplete custom ramps wait for more characters
+    useEffect(() => {
+        if (!hasSource || !isLivePreview || !hasRamp) {
+            return undefined;
+        }
+        const timer = setTimeout(() => convertRef.current(), LIVE_PREVIEW_DELAY);
+        return () => clearTimeout(timer);
+    }, [hasSource, sourceImage, sourceFrames, conversionOptions, isLivePreview, hasRamp]);
 
-            // Loop through the image pixels, sampling them to fit the ASCII art dimensions
-            for (let y = 0; y < newHeight; y++) {
-                for (let x = 0; x < asciiWidth; x++) {
-                    // Calculate source pixel coordinates for sampling
-                    const sourceX = Math.floor((x / asciiWidth) * originalWidth);
-                    const sourceY = Math.floor((y / newHeight) * originalHeight);
+    // Camera frames are converted with the latest settings, reached through a ref like convertRef
+    const cameraOptionsRef = useRef(null);
+    cameraOptionsRef.current = { options: conversionOptions, hasRamp };
 
-                    // Get the index of the top-left corner of the pixel in the data array
-                    const pixelIndex = (sourceY * originalWidth + sourceX) * 4; // *4 for R, G, B, A
+    /**
+     * Converts the camera's current frame on the main thread and shows it in the preview.
+     * @param {HTMLVideoElement} video - The playing camera video.
+     */
+    const renderCameraFrame = (video) => {
+        const { options, hasRamp: isReady } = cameraOptionsRef.current;
+        if (!isReady) {
+            return;
+        }
+        const { width } = getOutputSize(video.videoWidth, video.videoHeight, { ...DEFAULT_OPTIONS, ...options });
+        const imageData = readImagePixels(video, canvasRef.current, width * CAMERA_SAMPLES_PER_CHAR);
+        setCameraGrid(renderAsciiGrid(imageData, options));
+    };
 
-                    // Get RGB values (we'll ignore alpha for intensity)
-                    const r = data[pixelIndex];
-                    const g = data[pixelIndex + 1];
-                    const b = data[pixelIndex + 2];
+    /**
+     * Turns the camera on, replacing any uploaded image or animation as the source.
+     */
+    const startCameraMode = async () => {
+        nextUpload(); // Drop any upload still decoding
+        converterRef.current.cancel();
+        setIsLoading(false);
+        setAsciiGrid(null);
+        setAsciiFrames(null);
+        setSourceImage(null);
+        setSourceFrames(null);
+        setSourceHistogram(null);
+        setVideoFile(null);
+        setImageSrc(null);
+        setImageDescription('');
+        setTransform(DEFAULT_TRANSFORM);
+        setCameraStatus('starting');
+        setMessage('Starting camera...');
 
-                    // Convert to grayscale using luminance method (more accurate than simple average)
-                    // Luminance: 0.2126*R + 0.7152*G + 0.0722*B
-                    let grayscale = Math.floor(0.2126 * r + 0.7152 * g + 0.0722 * b);
+        const cameraId = ++cameraIdRef.current;
+        try {
+            const camera = await startCamera({
+                mediaDevices: navigator.mediaDevices,
+                video: videoRef.current,
+                fps: CAMERA_FPS,
+                onFrame: renderCameraFrame,
+            });
+            if (cameraId !== cameraIdRef.current) {
+                camera.stop(); // An upload or unmount turned the camera off while it was starting
+                return;
+            }
+            cameraRef.current = camera;
+            setCameraStatus('on');
+            setMessage('');
+        } catch (error) {
+            if (cameraId !== cameraIdRef.current) {
+                return;
+            }
+            setCameraStatus('off');
+            showModal('Could not start the camera: ' + error.message);
+            setMessage('Camera unavailable.');
+        }
+    };
 
-                    // Apply color inversion if the toggle is active
-                    if (invertColors) {
-                        grayscale = 255 - grayscale; // Invert the grayscale value
-                    }
+    /**
+     * Turns the camera off, if it is on.
+     */
+    const stopCamera = () => {
+        cameraIdRef.current++; // Also cancels a start still waiting for the camera
+        if (cameraRef.current) {
+            cameraRef.current.stop();
+            cameraRef.current = null;
+        }
+        setCameraStatus('off');
+        setCameraGrid(null);
+    };
 
-                    // Map grayscale value (0-255) to an index in the selected ASCII character set
-                    const charIndex = Math.floor((grayscale / 255) * (currentAsciiCharSet.length - 1));
+    /**
+     * Freezes the camera's current frame as the converted art, and turns the camera off.
+     */
+    const takeSnapshot = () => {
+        if (!cameraGrid) {
+            return;
+        }
+        setAsciiGrid(cameraGrid);
+        stopCamera();
+        setMessage('Snapshot taken!');
+    };
 
-                    // Append the corresponding ASCII character
-                    ascii += currentAsciiCharSet[charIndex];
-                }
-                ascii += '\n'; // Add newline at the end of each row
-            }
+    // Release the camera if the app unmounts while it is on
+    useEffect(() => () => {
+        cameraIdRef.current++;
+        if (cameraRef.current) {
+            cameraRef.current.stop();
+        }
+    }, []);
 
-            setAsciiArt(ascii); // Set the generated ASCII art
-            setMessage('Conversion complete!');
-            setIsLoading(false); // Stop loading indicator
-        };
-        img.onerror = () => {
-            showModal('Could not load image. Please check the file format or try another image.');
-            setIsLoading(false);
-            setMessage('Image loading failed.');
-        };
-        img.src = imageSrc; // Load the image from the source URL
-    };
+    // Keep the description settings for later visits
+    useEffect(() => {
+        saveDescriptionSettings(descriptionSettings);
+    }, [descriptionSettings]);
 
     /**
-     * Calls the Gemini API to describe the uploaded image.
+     * Describes the uploaded image with the configured description provider.
      */
-    const describeImageWithGemini = async () => {
+    const describeUploadedImage = async () => {
         if (!imageSrc) {
             showModal('Please upload an image first to describe it.');
             return;
         }
 
+        const controller = new AbortController();
+        describeControllerRef.current = controller;
         setIsDescribingImage(true);
         setImageDescription('Generating description...');
 
         try {
-            // Convert Data URL to base64 string required by Gemini API
-            const base64ImageData = imageSrc.split(',')[1];
-            const mimeType = imageSrc.split(';')[0].split(':')[1];
-
-            let chatHistory = [];
-            const prompt = "Describe this image in detail. Focus on the main subjects, objects, colors, and overall scene. Provide a concise and creative caption as well.";
-            chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-            const payload = {
-                contents: [
-                    {
-                        role: "user",
-                        parts: [
-                            { text: prompt },
-                            {
-                                inlineData: {
-                                    mimeType: mimeType,
-                                    data: base64ImageData
-                                }
-                            }
-                        ]
-                    }
-                ],
-            };
-            const apiKey = ""; // Canvas will provide this at runtime
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            const result = await response.json();
+            const text = await describeImage(descriptionSettings, imageSrc, { signal: controller.signal });
+            setImageDescription(text);
+            const caption = extractCaption(text);
+            setDescribedCaption(caption);
+            setCaptionText((current) => current || caption); // Don't replace a caption the user typed
 
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const text = result.candidates[0].content.parts[0].text;
-                setImageDescription(text);
-            } else {
-                setImageDescription('Could not generate description. Please try again.');
-                console.error("Gemini API response structure unexpected:", result);
-            }
         } catch (error) {
-            setImageDescription('Error generating description: ' + error.message);
-            console.error("Error calling Gemini API:", error);
+            setImageDescription(error.name === 'AbortError'
+                ? 'Description cancelled.'
+                : 'Error generating description: ' + error.message);
         } finally {
+            describeControllerRef.current = null;
             setIsDescribingImage(false);
         }
     };
 
+    /**
+     * Aborts the description request in progress.
+     */
+    const cancelDescription = () => {
+        if (describeControllerRef.current) {
+            describeControllerRef.current.abort();
+        }
+    };
 
     /**
-     * Downloads the generated ASCII art as a plain text file.
+     * Downloads the generated ASCII art in the selected export format.
      */
     const downloadAsciiArt = () => {
-        if (!asciiArt) {
+        if (!currentGrid) {
             showModal('No ASCII art to download. Please convert an image first.');
             return;
         }
 
-        const blob = new Blob([asciiArt], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'ascii_art.txt'; // Default filename
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url); // Clean up the URL object
+        const { mimeType, render } = EXPORT_FORMATS[exportFormat];
+        const blob = new Blob([render(currentGrid, { color: colorMode, charAspectRatio })], { type: mimeType });
+        downloadBlob(blob, `ascii_art.${exportFormat}`); // Default filename
+    };
+
+    /**
+     * Downloads the generated ASCII art rendered as a PNG image.
+     */
+    const downloadAsciiArtAsPng = async () => {
+        if (!currentGrid) {
+            showModal('No ASCII art to download. Please convert an image first.');
+            return;
+        }
+
+        try {
+            const blob = await gridToPngBlob(currentGrid, { ...pngOptions, charAspectRatio, color: colorMode });
+            downloadBlob(blob, 'ascii_art.png');
+        } catch (error) {
+            showModal('Error rendering PNG: ' + error.message);
+        }
+    };
+
+    /**
+     * Downloads every frame of the converted animation.
+     * @param {string} format - 'json' for a frame bundle, 'html' for a player page or 'gif' for an animated GIF.
+     */
+    const downloadAnimation = (format) => {
+        if (!asciiFrames) {
+            showModal('No animation to download. Please convert a GIF or video first.');
+            return;
+        }
+
+        try {
+            if (format === 'gif') {
+                const gif = framesToGifBlob(asciiFrames, { ...pngOptions, charAspectRatio, color: colorMode });
+                downloadBlob(gif, 'ascii_animation.gif');
+            } else if (format === 'html') {
+                const html = framesToHtmlPlayer(asciiFrames, { ...pngOptions, charAspectRatio, color: colorMode });
+                downloadBlob(new Blob([html], { type: 'text/html' }), 'ascii_animation.html');
+            } else {
+                const json = framesToJson(asciiFrames, { color: colorMode });
+                downloadBlob(new Blob([json], { type: 'application/json' }), 'ascii_animation.json');
+            }
+        } catch (error) {
+            showModal('Error exporting animation: ' + error.message);
+        }
+    };
+
+    /**
+     * Updates a single PNG export option.
+     * @param {string} key - The option name.
+     * @param {*} value - The new value.
+     */
+    const updatePngOption = (key, value) => {
+        setPngOptions((options) => ({ ...options, [key]: value }));
     };
 
     /**
@@ -264,47 +810,175 @@ const App = () => {
                     <div className="flex-1 flex flex-col items-center">
                         <label
                             htmlFor="file-upload"
-                            className="w-full p-4 border-2 border-dashed border-blue-500 text-blue-300 rounded-lg cursor-pointer hover:bg-blue-900 transition-colors duration-200 flex flex-col items-center justify-center text-center shadow-md hover:shadow-lg"
+                            onDragOver={(e) => {
+                                e.preventDefault(); // Allows the drop
+                                setIsDragging(true);
+                            }}
+                            onDragLeave={() => setIsDragging(false)}
+                            onDrop={handleDrop}
+                            className={`w-full p-4 border-2 border-dashed border-blue-500 text-blue-300 rounded-lg cursor-pointer hover:bg-blue-900 transition-colors duration-200 flex flex-col items-center justify-center text-center shadow-md hover:shadow-lg ${isDragging ? 'bg-blue-900' : ''}`}
                         >
                             <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mb-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
                                 <path strokeLinecap="round" strokeLinejoin="round" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                             </svg>
-                            <span className="text-lg font-semibold">Upload Black & White Image</span>
-                            <span className="text-sm text-gray-400">(JPG, PNG, GIF)</span>
+                            <span className="text-lg font-semibold">Upload Image or Video</span>
+                            <span className="text-sm text-gray-400">(JPG, PNG, GIF, WebM, MP4)</span>
+                            <span className="text-xs text-gray-400">Drop or pick several images to convert them all</span>
                             <input
                                 id="file-upload"
                                 type="file"
-                                accept="image/png, image/jpeg, image/gif"
+                                multiple
+                                accept="image/png, image/jpeg, image/gif, video/webm, video/mp4"
                                 onChange={handleFileChange}
                                 ref={fileInputRef}
                                 className="hidden"
                             />
                         </label>
-                        {imageSrc && (
-                            <div className="mt-6 p-2 bg-gray-700 rounded-lg shadow-inner">
-                                <h3 className="text-gray-300 mb-2">Preview:</h3>
-                                <img
-                                    src={imageSrc}
-                                    alt="Uploaded"
-                                    className="max-w-full h-auto rounded-md border border-gray-600"
-                                    style={{ maxHeight: '200px' }}
-                                    onError={(e) => { e.target.src = "https://placehold.co/200x150/5C5C5C/FFFFFF?text=Image+Load+Error"; }}
+                        {batchItems.length > 0 && (
+                            <BatchQueue items={batchItems} onDownloadAll={downloadBatch} onClear={clearBatch} />
+                        )}
+                        {cameraStatus === 'on' ? (
+                            <div className="mt-4 w-full flex gap-2">
+                                <button
+                                    onClick={takeSnapshot}
+                                    disabled={!cameraGrid}
+                                    className="flex-1 py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition-colors duration-200 shadow-md"
+                                >
+                                    Snapshot
+                                </button>
+                                <button
+                                    onClick={stopCamera}
+                                    className="flex-1 py-2 px-4 rounded-lg bg-gray-600 hover:bg-gray-500 text-white font-semibold transition-colors duration-200 shadow-md"
+                                >
+                                    Stop Camera
+                                </button>
+                            </div>
+                        ) : (
+                            <button
+                                onClick={startCameraMode}
+                                disabled={cameraStatus === 'starting'}
+                                className="mt-4 w-full py-2 px-4 rounded-lg border-2 border-blue-500 text-blue-300 hover:bg-blue-900 font-semibold transition-colors duration-200 shadow-md"
+                            >
+                                {cameraStatus === 'starting' ? 'Starting Camera...' : 'Use Camera'}
+                            </button>
+                        )}
+                        {imageSrc && <CropEditor src={imageSrc} transform={transform} onChange={setTransform} />}
+
+                        {videoFile && (
+                            <div className="mt-6 w-full">
+                                <label htmlFor="video-fps" className="block text-gray-300 text-sm font-semibold mb-2">
+                                    Video Frames per Second:
+                                </label>
+                                <input
+                                    id="video-fps"
+                                    type="number"
+                                    min="1"
+                                    max="30"
+                                    value={videoFps}
+                                    onChange={(e) => changeVideoFps(Math.max(1, Math.min(30, parseInt(e.target.value) || DEFAULT_VIDEO_FPS)))}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
                                 />
                             </div>
                         )}
 
+                        {/* Output Size */}
                         <div className="mt-6 w-full">
-                            <label htmlFor="ascii-width" className="block text-gray-300 text-sm font-semibold mb-2">
-                                ASCII Art Width (characters):
+                            <label htmlFor="size-mode" className="block text-gray-300 text-sm font-semibold mb-2">
+                                Size By:
                             </label>
-                            <input
-                                id="ascii-width"
-                                type="number"
-                                min="30"
-                                max="300"
-                                value={asciiWidth}
-                                onChange={(e) => setAsciiWidth(Math.max(30, Math.min(300, parseInt(e.target.value) || 120)))}
+                            <select
+                                id="size-mode"
+                                value={sizeMode}
+                                onChange={(e) => setSizeMode(e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                            >
+                                {Object.entries(SIZE_MODES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {sizeMode === 'width' && (
+                            <div className="mt-4 w-full">
+                                <label htmlFor="ascii-width" className="block text-gray-300 text-sm font-semibold mb-2">
+                                    ASCII Art Width (characters):
+                                </label>
+                                <input
+                                    id="ascii-width"
+                                    type="number"
+                                    min="30"
+                                    max="300"
+                                    value={asciiWidth}
+                                    onChange={(e) => setAsciiWidth(Math.max(30, Math.min(300, parseInt(e.target.value) || 120)))}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                />
+                            </div>
+                        )}
+                        {sizeMode === 'height' && (
+                            <div className="mt-4 w-full">
+                                <label htmlFor="ascii-height" className="block text-gray-300 text-sm font-semibold mb-2">
+                                    ASCII Art Height (lines):
+                                </label>
+                                <input
+                                    id="ascii-height"
+                                    type="number"
+                                    min="10"
+                                    max="200"
+                                    value={asciiHeight}
+                                    onChange={(e) => setAsciiHeight(Math.max(10, Math.min(200, parseInt(e.target.value) || 40)))}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                />
+                            </div>
+                        )}
+                        {sizeMode === 'terminal' && (
+                            <div className="mt-4 w-full">
+                                <label htmlFor="terminal-size" className="block text-gray-300 text-sm font-semibold mb-2">
+                                    Terminal Size:
+                                </label>
+                                <select
+                                    id="terminal-size"
+                                    value={terminalSize}
+                                    onChange={(e) => setTerminalSize(e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                >
+                                    {Object.entries(TERMINAL_SIZES).map(([value, { columns, rows }]) => (
+                                        <option key={value} value={value}>{columns}×{rows}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        {outputSize && (
+                            <p className="mt-1 w-full text-xs text-gray-400">
+                                Output: {outputSize.width}×{outputSize.height} characters
+                            </p>
+                        )}
+
+                        {/* Font Metrics */}
+                        <div className="mt-4 w-full">
+                            <label htmlFor="font-preset" className="block text-gray-300 text-sm font-semibold mb-2">
+                                Font:
+                            </label>
+                            <select
+                                id="font-preset"
+                                value={fontPreset}
+                                onChange={(e) => selectFontPreset(e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                            >
+                                {Object.entries(FONT_PRESETS).map(([value, { label }]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            <label htmlFor="char-aspect-ratio" className="block mt-2 text-gray-300 text-sm">
+                                Character Aspect Ratio: {charAspectRatio.toFixed(2)}
+                            </label>
+                            <input
+                                id="char-aspect-ratio"
+                                type="range"
+                                min={MIN_CHAR_ASPECT_RATIO}
+                                max={MAX_CHAR_ASPECT_RATIO}
+                                step="0.01"
+                                value={charAspectRatio}
+                                onChange={(e) => setCharAspectRatio(parseFloat(e.target.value))}
+                                className="w-full accent-blue-500"
                             />
                         </div>
 
@@ -322,25 +996,215 @@ const App = () => {
                             </label>
                         </div>
 
-                        {/* Alphanumeric Only Toggle */}
-                        <div className="mt-2 w-full flex items-center">
+                        {/* Tonal Adjustments */}
+                        <AdjustmentsPanel
+                            adjustments={adjustments}
+                            onChange={setAdjustments}
+                            histogram={sourceHistogram}
+                        />
+
+                        {/* Render Mode */}
+                        <div className="mt-4 w-full">
+                            <label htmlFor="render-mode" className="block text-gray-300 text-sm font-semibold mb-2">
+                                Render Mode:
+                            </label>
+                            <select
+                                id="render-mode"
+                                value={renderMode}
+                                onChange={(e) => setRenderMode(e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                            >
+                                {Object.entries(RENDER_MODES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            {(renderMode !== 'ramp' || captionMode === 'word-fill') && (
+                                <>
+                                    <label htmlFor="threshold" className="block mt-2 text-gray-300 text-sm">
+                                        Threshold: {threshold}
+                                    </label>
+                                    <input
+                                        id="threshold"
+                                        type="range"
+                                        min="0"
+                                        max="255"
+                                        value={threshold}
+                                        onChange={(e) => setThreshold(parseInt(e.target.value))}
+                                        className="w-full accent-blue-500"
+                                    />
+                                </>
+                            )}
+                        </div>
+
+                        {/* Character Set */}
+                        {renderMode === 'ramp' && (
+                            <div className="mt-4 w-full">
+                                <label htmlFor="charset" className="block text-gray-300 text-sm font-semibold mb-2">
+                                    Character Set:
+                                </label>
+                                <select
+                                    id="charset"
+                                    value={charsetId}
+                                    onChange={(e) => setCharsetId(e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                >
+                                    {Object.entries(CHARSET_PRESETS).map(([value, { label }]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                    <option value="custom">Custom...</option>
+                                </select>
+                                {charsetId === 'custom' && (
+                                    <>
+                                        <input
+                                            type="text"
+                                            aria-label="Custom characters"
+                                            value={customCharset}
+                                            onChange={(e) => setCustomCharset(e.target.value)}
+                                            placeholder="e.g.  .:░▒▓█"
+                                            className="mt-2 w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                        />
+                                        {ramp && (
+                                            <p className="mt-1 text-xs text-gray-400 font-mono break-all">
+                                                Calibrated: {ramp.chars.join('')}
+                                            </p>
+                                        )}
+                                    </>
+                                )}
+
+                                <label htmlFor="dither" className="block mt-4 text-gray-300 text-sm font-semibold mb-2">
+                                    Dithering:
+                                </label>
+                                <select
+                                    id="dither"
+                                    value={dither}
+                                    onChange={(e) => setDither(e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                >
+                                    {Object.entries(DITHER_MODES).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+
+                                {/* Edge Detection */}
+                                <div className="mt-4 flex items-center">
+                                    <input
+                                        id="edges"
+                                        type="checkbox"
+                                        checked={edges}
+                                        onChange={(e) => setEdges(e.target.checked)}
+                                        className="h-5 w-5 text-blue-600 rounded border-gray-600 focus:ring-blue-500 bg-gray-700 cursor-pointer"
+                                    />
+                                    <label htmlFor="edges" className="ml-2 text-gray-300 text-sm font-semibold cursor-pointer">
+                                        Draw Outlines (| / - \ _)
+                                    </label>
+                                </div>
+                                {edges && (
+                                    <>
+                                        <label htmlFor="edge-threshold" className="block mt-2 text-gray-300 text-sm">
+                                            Edge Threshold: {edgeThreshold}
+                                        </label>
+                                        <input
+                                            id="edge-threshold"
+                                            type="range"
+                                            min="1"
+                                            max="255"
+                                            value={edgeThreshold}
+                                            onChange={(e) => setEdgeThreshold(parseInt(e.target.value))}
+                                            className="w-full accent-blue-500"
+                                        />
+                                        <div className="mt-2 flex items-center">
+                                            <input
+                                                id="edges-only"
+                                                type="checkbox"
+                                                checked={edgesOnly}
+                                                onChange={(e) => setEdgesOnly(e.target.checked)}
+                                                className="h-5 w-5 text-blue-600 rounded border-gray-600 focus:ring-blue-500 bg-gray-700 cursor-pointer"
+                                            />
+                                            <label htmlFor="edges-only" className="ml-2 text-gray-300 text-sm font-semibold cursor-pointer">
+                                                Outlines Only
+                                            </label>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Color Output Toggle */}
+                        <div className="mt-4 w-full flex items-center">
                             <input
-                                id="alphanumeric-only"
+                                id="color-mode"
                                 type="checkbox"
-                                checked={useAlphanumericOnly}
-                                onChange={(e) => setUseAlphanumericOnly(e.target.checked)}
+                                checked={colorMode}
+                                onChange={(e) => setColorMode(e.target.checked)}
                                 className="h-5 w-5 text-blue-600 rounded border-gray-600 focus:ring-blue-500 bg-gray-700 cursor-pointer"
                             />
-                            <label htmlFor="alphanumeric-only" className="ml-2 text-gray-300 text-sm font-semibold cursor-pointer">
-                                Use Alphanumeric Characters Only
+                            <label htmlFor="color-mode" className="ml-2 text-gray-300 text-sm font-semibold cursor-pointer">
+                                Color Output
+                            </label>
+                        </div>
+
+                        {/* Caption in the art */}
+                        <div className="mt-4 w-full">
+                            <label htmlFor="caption-mode" className="block text-gray-300 text-sm font-semibold mb-2">
+                                Caption:
                             </label>
+                            <select
+                                id="caption-mode"
+                                value={captionMode}
+                                onChange={(e) => setCaptionMode(e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                            >
+                                {Object.entries(CAPTION_MODES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            {captionMode !== 'none' && (
+                                <>
+                                    <input
+                                        type="text"
+                                        aria-label="Caption text"
+                                        value={captionText}
+                                        onChange={(e) => setCaptionText(e.target.value)}
+                                        placeholder="Type a caption, or describe the image"
+                                        className="mt-2 w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                    />
+                                    {describedCaption && describedCaption !== captionText && (
+                                        <button
+                                            onClick={() => setCaptionText(describedCaption)}
+                                            className="mt-1 text-xs text-blue-300 hover:text-blue-200"
+                                        >
+                                            Use the description's caption
+                                        </button>
+                                    )}
+                                    {captionMode === 'word-fill' && renderMode !== 'ramp' && (
+                                        <p className="mt-1 text-xs text-gray-400">Word fill needs the character ramp render mode.</p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+
+                        {/* Resampling Mode */}
+                        <div className="mt-4 w-full">
+                            <label htmlFor="resampling" className="block text-gray-300 text-sm font-semibold mb-2">
+                                Resampling:
+                            </label>
+                            <select
+                                id="resampling"
+                                value={resampling}
+                                onChange={(e) => setResampling(e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                            >
+                                {Object.entries(RESAMPLING_MODES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
                         </div>
 
                         <button
                             onClick={convertImageToAscii}
-                            disabled={isLoading || !imageSrc}
+                            disabled={isLoading || !hasSource}
                             className={`mt-8 w-full py-3 px-6 rounded-lg text-lg font-bold transition-all duration-300 shadow-lg
-                                ${isLoading || !imageSrc
+                                ${isLoading || !hasSource
                                     ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
                                     : 'bg-blue-600 hover:bg-blue-700 text-white transform hover:scale-105 active:scale-95'
                                 }`}
@@ -351,62 +1215,176 @@ const App = () => {
                                         <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                                         <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                                     </svg>
-                                    Converting...
+                                    Converting... {Math.round(progress * 100)}%
                                 </div>
                             ) : (
                                 'Convert to ASCII Art'
                             )}
                         </button>
+                        {hasSource && !isLivePreview && (
+                            <p className="mt-2 text-xs text-gray-400 text-center">
+                                Live preview is paused above {LIVE_PREVIEW_MAX_WIDTH} characters. Click Convert to render.
+                            </p>
+                        )}
 
-                        {/* New Gemini API integration button */}
-                        <button
-                            onClick={describeImageWithGemini}
-                            disabled={isDescribingImage || !imageSrc}
-                            className={`mt-4 w-full py-3 px-6 rounded-lg text-lg font-bold transition-all duration-300 shadow-lg
-                                ${isDescribingImage || !imageSrc
-                                    ? 'bg-purple-800 text-purple-400 cursor-not-allowed'
-                                    : 'bg-purple-600 hover:bg-purple-700 text-white transform hover:scale-105 active:scale-95'
-                                }`}
-                        >
-                            {isDescribingImage ? (
-                                <div className="flex items-center justify-center">
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                    Describing...
-                                </div>
-                            ) : (
-                                '✨ Describe Image'
+                        {/* Image description, with a cancel button while a request runs */}
+                        <div className="mt-4 w-full flex gap-2">
+                            <button
+                                onClick={describeUploadedImage}
+                                disabled={isDescribingImage || !imageSrc}
+                                className={`flex-1 py-3 px-6 rounded-lg text-lg font-bold transition-all duration-300 shadow-lg
+                                    ${isDescribingImage || !imageSrc
+                                        ? 'bg-purple-800 text-purple-400 cursor-not-allowed'
+                                        : 'bg-purple-600 hover:bg-purple-700 text-white transform hover:scale-105 active:scale-95'
+                                    }`}
+                            >
+                                {isDescribingImage ? (
+                                    <div className="flex items-center justify-center">
+                                        <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                        </svg>
+                                        Describing...
+                                    </div>
+                                ) : (
+                                    '✨ Describe Image'
+                                )}
+                            </button>
+                            {isDescribingImage && (
+                                <button
+                                    onClick={cancelDescription}
+                                    className="py-3 px-4 rounded-lg bg-gray-600 hover:bg-gray-500 text-white font-semibold transition-colors duration-200 shadow-lg"
+                                >
+                                    Cancel
+                                </button>
                             )}
-                        </button>
+                        </div>
+                        <DescriptionSettings settings={descriptionSettings} onChange={setDescriptionSettings} />
+                        <PresetsPanel
+                            settings={settings}
+                            art={asciiArt}
+                            onApply={applySettings}
+                            onDownload={downloadBlob}
+                            onMessage={showModal}
+                        />
                     </div>
 
                     {/* Right Panel: ASCII Art Output and Image Description */}
                     <div className="flex-1 flex flex-col">
                         <h2 className="text-xl font-semibold text-gray-300 mb-3">ASCII Art Output:</h2>
+                        {asciiFrames && (
+                            <AnimationPlayer frames={asciiFrames} index={frameIndex} onIndexChange={setFrameIndex} />
+                        )}
                         <div className="flex-grow bg-gray-900 border border-gray-700 rounded-lg p-4 overflow-auto shadow-inner mb-6">
                             <pre
-                                className="font-mono text-xs leading-none whitespace-pre overflow-x-auto text-lime-400"
+                                className="text-xs whitespace-pre overflow-x-auto text-lime-400"
                                 style={{
-                                    lineHeight: '0.8', // Adjust line height for better density
-                                    letterSpacing: '-0.5px' // Adjust letter spacing
+                                    fontFamily: `"${FONT_PRESETS[fontPreset].fontFamily}", monospace`,
+                                    lineHeight: previewLineHeight, // Cells keep the aspect ratio the art was sized for
                                 }}
                             >
-                                {asciiArt || (
+                                {currentGrid && colorMode && currentGrid.rows.map((row, y) => (
+                                    <React.Fragment key={y}>
+                                        {groupColorRuns(row).map((run, i) => (
+                                            <span key={i} style={{ color: run.color, backgroundColor: run.background }}>{run.text}</span>
+                                        ))}
+                                        {'\n'}
+                                    </React.Fragment>
+                                ))}
+                                {currentGrid && !colorMode && asciiArt}
+                                {!currentGrid && (
                                     <span className="text-gray-500">
-                                        {message || 'Upload an image and click "Convert" to see your ASCII art here.'}
+                                        {message || 'Upload an image to see your ASCII art here.'}
                                     </span>
                                 )}
                             </pre>
                         </div>
-                        {asciiArt && (
-                            <button
-                                onClick={downloadAsciiArt}
-                                className="mt-4 w-full py-2 px-4 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition-all duration-200 shadow-md transform hover:scale-105 active:scale-95"
-                            >
-                                Download ASCII Art (.txt)
-                            </button>
+                        {currentGrid && (
+                            <div className="mt-4 flex gap-2">
+                                <select
+                                    aria-label="Export format"
+                                    value={exportFormat}
+                                    onChange={(e) => setExportFormat(e.target.value)}
+                                    className="p-2 bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                                >
+                                    {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={downloadAsciiArt}
+                                    className="flex-1 py-2 px-4 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition-all duration-200 shadow-md transform hover:scale-105 active:scale-95"
+                                >
+                                    Download ASCII Art (.{exportFormat})
+                                </button>
+                            </div>
+                        )}
+                        {asciiFrames && (
+                            <div className="mt-4 flex gap-2">
+                                {[['json', 'Frames (.json)'], ['html', 'Player (.html)'], ['gif', 'Animated GIF']].map(([format, label]) => (
+                                    <button
+                                        key={format}
+                                        onClick={() => downloadAnimation(format)}
+                                        className="flex-1 py-2 px-4 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition-all duration-200 shadow-md transform hover:scale-105 active:scale-95"
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {currentGrid && (
+                            <div className="mt-4 p-3 bg-gray-700 rounded-lg shadow-inner">
+                                <div className="grid grid-cols-2 gap-2 text-sm text-gray-300">
+                                    <label className="flex flex-col">
+                                        Font
+                                        <select
+                                            value={pngOptions.fontFamily}
+                                            onChange={(e) => updatePngOption('fontFamily', e.target.value)}
+                                            className="mt-1 p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200"
+                                        >
+                                            {PNG_FONTS.map((font) => (
+                                                <option key={font} value={font}>{font}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex flex-col">
+                                        Font Size (px)
+                                        <input
+                                            type="number"
+                                            min="6"
+                                            max="48"
+                                            value={pngOptions.fontSize}
+                                            onChange={(e) => updatePngOption('fontSize', Math.max(6, Math.min(48, parseInt(e.target.value) || 12)))}
+                                            className="mt-1 p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200"
+                                        />
+                                    </label>
+                                    <label className="flex items-center gap-2">
+                                        <input
+                                            type="color"
+                                            value={pngOptions.foreground}
+                                            onChange={(e) => updatePngOption('foreground', e.target.value)}
+                                            disabled={colorMode}
+                                            className="h-6 w-8 bg-gray-800 border border-gray-600 rounded"
+                                        />
+                                        Text
+                                    </label>
+                                    <label className="flex items-center gap-2">
+                                        <input
+                                            type="color"
+                                            value={pngOptions.background}
+                                            onChange={(e) => updatePngOption('background', e.target.value)}
+                                            className="h-6 w-8 bg-gray-800 border border-gray-600 rounded"
+                                        />
+                                        Background
+                                    </label>
+                                </div>
+                                <button
+                                    onClick={downloadAsciiArtAsPng}
+                                    className="mt-3 w-full py-2 px-4 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition-all duration-200 shadow-md transform hover:scale-105 active:scale-95"
+                                >
+                                    Download as PNG
+                                </button>
+                            </div>
                         )}
 
                         {/* New section for Image Description */}
@@ -423,6 +1401,9 @@ const App = () => {
             {/* Hidden Canvas for Image Processing */}
             <canvas ref={canvasRef} style={{ display: 'none' }}></canvas>
 
+            {/* Hidden Video the camera plays into */}
+            <video ref={videoRef} style={{ display: 'none' }} muted playsInline></video>
+
             {/* Custom Modal for alerts */}
             {isModalOpen && (
                 <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50">
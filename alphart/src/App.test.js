@@ -1,8 +1,263 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import { decodeImage, readImagePixels } from './lib/imageLoader';
+import { encodeShareHash } from './lib/shareLink';
+import { DEFAULT_SETTINGS } from './lib/presets';
+import { batchToZip } from './lib/batchExport';
 
-test('renders learn react link', () => {
+// Jest can't load the worker module; without a worker, conversions run on the main thread
+jest.mock('./lib/createConversionWorker', () => () => null);
+
+// jsdom can't decode images, so uploads decode to a flat white 4x4 image
+jest.mock('./lib/imageLoader', () => ({
+  ...jest.requireActual('./lib/imageLoader'),
+  decodeImage: jest.fn(),
+  readImagePixels: jest.fn(),
+}));
+
+// Batch downloads zip for real, but tests can look at the grids they zip
+jest.mock('./lib/batchExport', () => ({
+  ...jest.requireActual('./lib/batchExport'),
+  batchToZip: jest.fn(),
+}));
+const { batchToZip: zipBatch } = jest.requireActual('./lib/batchExport');
+
+beforeEach(() => {
+  localStorage.clear(); // Settings and presets persist between visits
+  window.location.hash = '';
+  decodeImage.mockResolvedValue({ width: 4, height: 4 });
+  readImagePixels.mockReturnValue({ width: 4, height: 4, data: new Uint8ClampedArray(64).fill(255) });
+  batchToZip.mockImplementation(zipBatch);
+});
+
+const upload = () => {
+  const file = new File(['image'], 'image.png', { type: 'image/png' });
+  fireEvent.change(screen.getByLabelText(/upload image/i), { target: { files: [file] } });
+};
+
+test('renders the converter heading', () => {
+  render(<App />);
+  expect(screen.getByText(/image to ascii art converter/i)).toBeInTheDocument();
+});
+
+test('disables conversion until an image is uploaded', () => {
+  render(<App />);
+  expect(screen.getByRole('button', { name: /convert to ascii art/i })).toBeDisabled();
+});
+
+// Waits for the output panel to hold text matching the pattern
+const findPreview = (pattern) => screen.findByText(
+  (_, element) => element.tagName === 'PRE' && pattern.test(element.textContent),
+  {},
+  { timeout: 2000 }
+);
+
+test('ignores the decode of an earlier upload that finishes last', async () => {
+  let finishFirst;
+  decodeImage
+    .mockReturnValueOnce(new Promise((resolve) => {
+      finishFirst = () => resolve({ width: 4, height: 4 });
+    }))
+    .mockResolvedValueOnce({ width: 4, height: 4, black: true });
+  readImagePixels.mockImplementation((image) =>
+    ({ width: 4, height: 4, data: new Uint8ClampedArray(64).fill(image.black ? 0 : 255) }));
+
+  render(<App />);
+  upload();
+  upload();
+  expect(await findPreview(/^ +\n/)).toBeInTheDocument(); // Black maps to blanks
+
+  finishFirst();
+  await new Promise((resolve) => setTimeout(resolve, 500)); // Longer than the live preview delay
+  expect(await findPreview(/^ +\n/)).toBeInTheDocument();
+});
+
+test('renders the preview as soon as an image is uploaded, and again when a setting changes', async () => {
+  render(<App />);
+  upload();
+  expect(await findPreview(/^#+\n/)).toBeInTheDocument();
+
+  // White inverts to blank characters
+  fireEvent.click(screen.getByLabelText(/invert colors/i));
+  expect(await findPreview(/^ +\n/)).toBeInTheDocument();
+});
+
+test('streams the camera into the preview and freezes a snapshot', async () => {
+  const track = { stop: jest.fn() };
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { getUserMedia: jest.fn().mockResolvedValue({ getTracks: () => [track] }) },
+  });
+  // jsdom can't play media
+  jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue();
+
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /use camera/i }));
+  expect(await findPreview(/^#+\n/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /snapshot/i }));
+  expect(track.stop).toHaveBeenCalled();
+  expect(screen.getByRole('button', { name: /use camera/i })).toBeInTheDocument();
+  expect(await findPreview(/^#+\n/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /download ascii art/i })).toBeInTheDocument();
+});
+
+test('stops a camera that finishes starting after an upload replaced it', async () => {
+  const track = { stop: jest.fn() };
+  let grantCamera;
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: {
+      getUserMedia: jest.fn(() => new Promise((resolve) => {
+        grantCamera = () => resolve({ getTracks: () => [track] });
+      })),
+    },
+  });
+  jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue();
+
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /use camera/i }));
+  upload();
+  expect(await findPreview(/^#+\n/)).toBeInTheDocument();
+
+  grantCamera();
+  await waitFor(() => expect(track.stop).toHaveBeenCalled());
+  expect(screen.getByRole('button', { name: /use camera/i })).toBeEnabled();
+  expect(await findPreview(/^#+\n/)).toBeInTheDocument();
+});
+
+test('describes the image with the selected provider', async () => {
+  render(<App />);
+  upload();
+  fireEvent.change(screen.getByLabelText(/provider/i), { target: { value: 'mock' } });
+  const describe = screen.getByRole('button', { name: /describe image/i });
+  await waitFor(() => expect(describe).toBeEnabled()); // Once the upload is read
+  fireEvent.click(describe);
+
+  expect(await screen.findByText(/mock description/i, {}, { timeout: 2000 })).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('frames a typed caption under the art', async () => {
+  render(<App />);
+  upload();
+  fireEvent.change(screen.getByLabelText(/^caption:/i), { target: { value: 'banner' } });
+  fireEvent.change(screen.getByLabelText(/caption text/i), { target: { value: 'Hello' } });
+  expect(await findPreview(/\| +Hello +\|\n\+-+\+\n$/)).toBeInTheDocument();
+});
+
+test('fits the art to a terminal size', async () => {
+  render(<App />);
+  upload();
+  fireEvent.change(screen.getByLabelText(/size by/i), { target: { value: 'terminal' } });
+  fireEvent.change(screen.getByLabelText(/terminal size/i), { target: { value: '80x24' } });
+
+  // The square test image at the default 0.5 aspect ratio is twice as wide as it is tall
+  expect(await findPreview(/^(#{48}\n){24}$/)).toBeInTheDocument();
+  expect(screen.getByText(/output: 48×24 characters/i)).toBeInTheDocument();
+});
+
+test('keeps very wide images to the widest output when sizing by height', async () => {
+  decodeImage.mockResolvedValue({ width: 4000, height: 40 });
+  render(<App />);
+  upload();
+  fireEvent.change(screen.getByLabelText(/size by/i), { target: { value: 'height' } });
+
+  expect(await screen.findByText(/output: 300×1 characters/i)).toBeInTheDocument();
+});
+
+test('saves the settings as a preset and loads them back', () => {
+  render(<App />);
+  const invert = screen.getByLabelText(/invert colors/i);
+  fireEvent.click(invert);
+  fireEvent.change(screen.getByLabelText(/preset name/i), { target: { value: 'Inverted' } });
+  fireEvent.click(screen.getByRole('button', { name: /^save$/i }));
+
+  fireEvent.click(invert);
+  expect(invert).not.toBeChecked();
+  fireEvent.click(screen.getByRole('button', { name: /^load$/i }));
+  expect(invert).toBeChecked();
+});
+
+test('opens a share link with its settings and art', () => {
+  window.location.hash = encodeShareHash({ ...DEFAULT_SETTINGS, invertColors: true }, '<>\n><\n');
+  render(<App />);
+  expect(screen.getByLabelText(/invert colors/i)).toBeChecked();
+  expect(screen.getByText((_, element) => element.tagName === 'PRE' && element.textContent === '<>\n><\n'))
+    .toBeInTheDocument();
+});
+
+test('converts several images as a batch and zips the results', async () => {
+  URL.createObjectURL = jest.fn(() => 'blob:url');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+  render(<App />);
+  const files = ['one.png', 'two.png', 'clip.mp4'].map((name) =>
+    new File(['x'], name, { type: name.endsWith('.mp4') ? 'video/mp4' : 'image/png' }));
+  fireEvent.drop(screen.getByLabelText(/upload image/i), { dataTransfer: { files } }); // Bubbles up to the drop area
+
+  expect(await screen.findByText('Batch: 2/3 converted', {}, { timeout: 2000 })).toBeInTheDocument();
+  expect(screen.getByText('Failed')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /download all/i }));
+  expect(URL.createObjectURL).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'application/zip' }));
+  expect(click).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: /clear/i }));
+  expect(screen.queryByText(/^batch:/i)).not.toBeInTheDocument();
+});
+
+test('converts batch images whole, whatever the crop of the image on show', async () => {
+  URL.createObjectURL = jest.fn(() => 'blob:url');
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  // jsdom has neither pointer events nor layout; the crop frame is 100px square
+  window.PointerEvent = class extends MouseEvent {};
+  HTMLElement.prototype.setPointerCapture = jest.fn();
+  const bounds = jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+    .mockReturnValue({ left: 0, top: 0, width: 100, height: 100 });
+
+  render(<App />);
+  upload();
+  const image = await screen.findByAltText('Uploaded'); // Pointer events bubble up to its crop frame
+  fireEvent.pointerDown(image, { clientX: 0, clientY: 0 });
+  fireEvent.pointerUp(image, { clientX: 50, clientY: 25 });
+  bounds.mockRestore();
+  expect(await findPreview(/^(#{120}\n){30}$/)).toBeInTheDocument(); // The crop is half as tall as it is wide
+
+  const files = ['one.png', 'two.png'].map((name) => new File(['x'], name, { type: 'image/png' }));
+  fireEvent.drop(screen.getByLabelText(/upload image/i), { dataTransfer: { files } });
+  expect(await screen.findByText('Batch: 2/2 converted', {}, { timeout: 2000 })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /download all/i }));
+  const [results] = batchToZip.mock.calls[0];
+  expect(results.map(({ grid }) => [grid.width, grid.height])).toEqual([[120, 60], [120, 60]]);
+});
+
+test('frees each batch bitmap and zips with the settings the batch started with', async () => {
+  URL.createObjectURL = jest.fn(() => 'blob:url');
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  const bitmaps = [];
+  decodeImage.mockImplementation(async () => {
+    const bitmap = { width: 4, height: 4, close: jest.fn() };
+    bitmaps.push(bitmap);
+    return bitmap;
+  });
+
+  render(<App />);
+  const files = ['one.png', 'two.png'].map((name) => new File(['x'], name, { type: 'image/png' }));
+  fireEvent.drop(screen.getByLabelText(/upload image/i), { dataTransfer: { files } });
+  expect(await screen.findByText('Batch: 2/2 converted', {}, { timeout: 2000 })).toBeInTheDocument();
+  expect(bitmaps.map(({ close }) => close.mock.calls.length)).toEqual([1, 1]);
+
+  fireEvent.click(screen.getByLabelText(/color output/i)); // Too late for this batch
+  fireEvent.click(screen.getByRole('button', { name: /download all/i }));
+  expect(batchToZip).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ color: false }));
+});
+
+test('explains decoding failures that are not about the file format', async () => {
+  decodeImage.mockRejectedValue(new Error('Out of memory'));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  upload();
+  expect(await screen.findByText('Could not load image: Out of memory')).toBeInTheDocument();
 });
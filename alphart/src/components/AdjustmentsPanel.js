@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+import Histogram from './Histogram';
+import { DEFAULT_ADJUSTMENTS, buildToneCurve, remapHistogram } from '../lib/adjustments';
+
+// Slider settings for each numeric adjustment
+const SLIDERS = [
+    { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+    { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+    { key: 'gamma', label: 'Gamma', min: 0.1, max: 5, step: 0.1 },
+];
+
+/**
+ * Brightness, contrast, gamma, auto-levels and equalization controls,
+ * with a live histogram of the source as it will look after the adjustments.
+ * @param {Object} props
+ * @param {Object} props.adjustments - Current adjustments, see DEFAULT_ADJUSTMENTS.
+ * @param {Function} props.onChange - Called with the updated adjustments.
+ * @param {Uint32Array} [props.histogram] - Luminance histogram of the source image.
+ */
+const AdjustmentsPanel = ({ adjustments, onChange, histogram }) => {
+    // Preview the effect of the tone curve on the source histogram
+    const adjustedHistogram = useMemo(
+        () => histogram && remapHistogram(histogram, buildToneCurve(adjustments, histogram)),
+        [histogram, adjustments]
+    );
+
+    const update = (key, value) => onChange({ ...adjustments, [key]: value });
+
+    return (
+        <div className="mt-6 w-full">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-gray-300 text-sm font-semibold">Adjustments:</h3>
+                <button
+                    onClick={() => onChange(DEFAULT_ADJUSTMENTS)}
+                    className="text-xs text-blue-300 hover:text-blue-200"
+                >
+                    Reset
+                </button>
+            </div>
+
+            {adjustedHistogram && <Histogram histogram={adjustedHistogram} />}
+
+            {SLIDERS.map(({ key, label, min, max, step }) => (
+                <div key={key} className="mt-2">
+                    <label htmlFor={`adjust-${key}`} className="block text-gray-300 text-sm">
+                        {label}: {adjustments[key]}
+                    </label>
+                    <input
+                        id={`adjust-${key}`}
+                        type="range"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={adjustments[key]}
+                        onChange={(e) => update(key, parseFloat(e.target.value))}
+                        className="w-full accent-blue-500"
+                    />
+                </div>
+            ))}
+
+            <div className="mt-2 flex gap-4">
+                <label className="flex items-center text-gray-300 text-sm cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={adjustments.autoLevels}
+                        onChange={(e) => update('autoLevels', e.target.checked)}
+                        className="h-4 w-4 mr-2 text-blue-600 rounded border-gray-600 focus:ring-blue-500 bg-gray-700"
+                    />
+                    Auto Levels
+                </label>
+                <label className="flex items-center text-gray-300 text-sm cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={adjustments.equalize}
+                        onChange={(e) => update('equalize', e.target.checked)}
+                        className="h-4 w-4 mr-2 text-blue-600 rounded border-gray-600 focus:ring-blue-500 bg-gray-700"
+                    />
+                    Equalize Histogram
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default AdjustmentsPanel;
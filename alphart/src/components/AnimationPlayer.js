@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Play/pause button, scrub bar and frame counter for a converted animation.
+ * The current frame is owned by the parent, which renders it.
+ * @param {Object} props
+ * @param {import('../lib/animation').AsciiFrame[]} props.frames - The converted frames.
+ * @param {number} props.index - Index of the frame on show.
+ * @param {Function} props.onIndexChange - Called with the index of the frame to show.
+ */
+const AnimationPlayer = ({ frames, index, onIndexChange }) => {
+    const [isPlaying, setIsPlaying] = useState(true);
+
+    // Advance to the next frame once the current one has shown for its delay, looping at the end
+    useEffect(() => {
+        if (!isPlaying || frames.length < 2) {
+            return undefined;
+        }
+        const timer = setTimeout(() => onIndexChange((index + 1) % frames.length), frames[index].delay);
+        return () => clearTimeout(timer);
+    }, [isPlaying, frames, index, onIndexChange]);
+
+    return (
+        <div className="mb-4 flex items-center gap-3">
+            <button
+                onClick={() => setIsPlaying(!isPlaying)}
+                className="py-1 px-3 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200"
+            >
+                {isPlaying ? 'Pause' : 'Play'}
+            </button>
+            <input
+                type="range"
+                aria-label="Frame"
+                min="0"
+                max={frames.length - 1}
+                value={index}
+                onChange={(e) => {
+                    setIsPlaying(false); // Scrubbing pauses playback
+                    onIndexChange(parseInt(e.target.value));
+                }}
+                className="flex-1 accent-blue-500"
+            />
+            <span className="text-xs text-gray-400 font-mono">
+                {index + 1}/{frames.length}
+            </span>
+        </div>
+    );
+};
+
+export default AnimationPlayer;
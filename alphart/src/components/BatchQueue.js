@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Label and text color of each queue status
+const STATUS_LABELS = {
+    queued: { label: 'Queued', className: 'text-gray-400' },
+    converting: { label: 'Converting...', className: 'text-blue-300' },
+    done: { label: 'Done', className: 'text-green-400' },
+    error: { label: 'Failed', className: 'text-red-400' },
+};
+
+/**
+ * Files of a batch conversion with their thumbnails and status, and the ZIP download of the results.
+ * @param {Object} props
+ * @param {Object[]} props.items - The queued files: { id, name, thumbnail, status, error }, where status
+ *     is one of the STATUS_LABELS keys.
+ * @param {Function} props.onDownloadAll - Called to download every finished result as a ZIP.
+ * @param {Function} props.onClear - Called to empty the queue, stopping the batch if it is running.
+ */
+const BatchQueue = ({ items, onDownloadAll, onClear }) => {
+    const finished = items.filter((item) => item.status === 'done').length;
+    const isRunning = items.some((item) => item.status === 'queued' || item.status === 'converting');
+
+    return (
+        <div className="mt-4 w-full p-3 bg-gray-700 rounded-lg shadow-inner">
+            <div className="mb-2 flex items-center justify-between text-sm text-gray-300">
+                <span className="font-semibold">Batch: {finished}/{items.length} converted</span>
+                <button onClick={onClear} className="text-xs text-blue-300 hover:text-blue-200">
+                    {isRunning ? 'Stop' : 'Clear'}
+                </button>
+            </div>
+            <ul className="max-h-64 overflow-y-auto flex flex-col gap-1">
+                {items.map(({ id, name, thumbnail, status, error }) => (
+                    <li key={id} className="flex items-center gap-2 text-sm">
+                        {thumbnail
+                            ? <img src={thumbnail} alt="" className="h-8 w-8 object-cover rounded bg-gray-800" />
+                            : <span className="h-8 w-8 rounded bg-gray-800" />}
+                        <span className="flex-1 truncate text-gray-200" title={name}>{name}</span>
+                        <span className={`text-xs ${STATUS_LABELS[status].className}`} title={error || undefined}>
+                            {STATUS_LABELS[status].label}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+            <button
+                onClick={onDownloadAll}
+                disabled={isRunning || !finished}
+                className="mt-3 w-full py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition-colors duration-200 shadow-md disabled:opacity-50"
+            >
+                Download All (ZIP)
+            </button>
+        </div>
+    );
+};
+
+export default BatchQueue;
@@ -0,0 +1,122 @@
+import React, { useRef, useState } from 'react';
+import { DEFAULT_TRANSFORM, isIdentityTransform } from '../lib/transform';
+
+// Drags smaller than this fraction of the image are taken as clicks, which clear the crop
+const MIN_CROP_SIZE = 0.02;
+
+const BUTTON_CLASS = 'py-1 px-2 rounded-md bg-gray-600 hover:bg-gray-500 text-white text-xs font-semibold transition-colors duration-200';
+
+/**
+ * Preview of the uploaded image with a crop rectangle drawn by dragging, and rotate and flip buttons.
+ * The crop is drawn on the image as uploaded; rotation and flips apply to the cropped region.
+ * @param {Object} props
+ * @param {string} props.src - URL of the image.
+ * @param {Object} props.transform - Current transform, see DEFAULT_TRANSFORM.
+ * @param {Function} props.onChange - Called with the updated transform.
+ */
+const CropEditor = ({ src, transform, onChange }) => {
+    const frameRef = useRef(null);
+    const [drag, setDrag] = useState(null); // { start, current } points of the drag in progress, as fractions of the image
+
+    /**
+     * Converts a pointer position to fractions of the image, clamped to its edges.
+     */
+    const toFraction = (event) => {
+        const bounds = frameRef.current.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width)),
+            y: Math.min(1, Math.max(0, (event.clientY - bounds.top) / bounds.height)),
+        };
+    };
+
+    /**
+     * Builds the crop rectangle spanning two points.
+     */
+    const spanning = (a, b) => ({
+        x: Math.min(a.x, b.x),
+        y: Math.min(a.y, b.y),
+        width: Math.abs(a.x - b.x),
+        height: Math.abs(a.y - b.y),
+    });
+
+    const handlePointerDown = (event) => {
+        event.preventDefault(); // Don't start dragging the image itself
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const start = toFraction(event);
+        setDrag({ start, current: start });
+    };
+
+    const handlePointerMove = (event) => {
+        if (drag) {
+            setDrag({ ...drag, current: toFraction(event) });
+        }
+    };
+
+    const handlePointerUp = (event) => {
+        if (!drag) {
+            return;
+        }
+        const crop = spanning(drag.start, toFraction(event));
+        setDrag(null);
+        onChange({ ...transform, crop: crop.width < MIN_CROP_SIZE || crop.height < MIN_CROP_SIZE ? null : crop });
+    };
+
+    const rotate = (degrees) => onChange({ ...transform, rotation: (transform.rotation + degrees + 360) % 360 });
+
+    // While dragging, show the rectangle being drawn instead of the current crop
+    const shownCrop = drag ? spanning(drag.start, drag.current) : transform.crop;
+
+    return (
+        <div className="mt-6 p-2 bg-gray-700 rounded-lg shadow-inner">
+            <h3 className="text-gray-300 mb-2">Preview (drag to crop):</h3>
+            <div
+                ref={frameRef}
+                className="relative inline-block overflow-hidden cursor-crosshair select-none touch-none"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+            >
+                <img
+                    src={src}
+                    alt="Uploaded"
+                    draggable="false"
+                    className="block max-w-full h-auto rounded-md border border-gray-600"
+                    style={{ maxHeight: '200px' }}
+                    onError={(e) => { e.target.src = "https://placehold.co/200x150/5C5C5C/FFFFFF?text=Image+Load+Error"; }}
+                />
+                {shownCrop && (
+                    <div
+                        className="absolute border-2 border-blue-400 pointer-events-none"
+                        style={{
+                            left: `${shownCrop.x * 100}%`,
+                            top: `${shownCrop.y * 100}%`,
+                            width: `${shownCrop.width * 100}%`,
+                            height: `${shownCrop.height * 100}%`,
+                            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)', // Dim everything outside the crop
+                        }}
+                    />
+                )}
+            </div>
+            <div className="mt-2 flex flex-wrap items-center gap-2">
+                <button onClick={() => rotate(-90)} className={BUTTON_CLASS}>Rotate Left</button>
+                <button onClick={() => rotate(90)} className={BUTTON_CLASS}>Rotate Right</button>
+                <button onClick={() => onChange({ ...transform, flipH: !transform.flipH })} className={BUTTON_CLASS}>
+                    Flip Horizontal
+                </button>
+                <button onClick={() => onChange({ ...transform, flipV: !transform.flipV })} className={BUTTON_CLASS}>
+                    Flip Vertical
+                </button>
+                {!isIdentityTransform(transform) && (
+                    <button onClick={() => onChange(DEFAULT_TRANSFORM)} className="text-xs text-blue-300 hover:text-blue-200">
+                        Reset
+                    </button>
+                )}
+            </div>
+            {transform.rotation !== 0 && (
+                <p className="mt-1 text-xs text-gray-400">Rotated {transform.rotation}° clockwise</p>
+            )}
+        </div>
+    );
+};
+
+export default CropEditor;
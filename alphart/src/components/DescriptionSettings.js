@@ -0,0 +1,86 @@
+import React from 'react';
+import { DESCRIPTION_PROVIDERS, DEFAULT_PROMPT, withProvider } from '../lib/descriptionProviders';
+
+const INPUT_CLASS = 'mt-1 w-full p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200';
+
+/**
+ * Provider, endpoint, model, API key and prompt used to describe images.
+ * @param {Object} props
+ * @param {Object} props.settings - Current settings, see DEFAULT_DESCRIPTION_SETTINGS.
+ * @param {Function} props.onChange - Called with the updated settings.
+ */
+const DescriptionSettings = ({ settings, onChange }) => {
+    const update = (key, value) => onChange({ ...settings, [key]: value });
+    const isMock = settings.provider === 'mock';
+
+    return (
+        <details className="mt-4 w-full text-sm text-gray-300">
+            <summary className="cursor-pointer font-semibold">Description Settings</summary>
+            <div className="mt-2 p-3 bg-gray-700 rounded-lg shadow-inner flex flex-col gap-2">
+                <label className="flex flex-col">
+                    Provider
+                    <select
+                        value={settings.provider}
+                        onChange={(e) => onChange(withProvider(settings, e.target.value))}
+                        className={INPUT_CLASS}
+                    >
+                        {Object.entries(DESCRIPTION_PROVIDERS).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                {!isMock && (
+                    <>
+                        <label className="flex flex-col">
+                            Endpoint
+                            <input
+                                type="url"
+                                value={settings.endpoint}
+                                onChange={(e) => update('endpoint', e.target.value)}
+                                className={INPUT_CLASS}
+                            />
+                        </label>
+                        <label className="flex flex-col">
+                            Model
+                            <input
+                                type="text"
+                                value={settings.model}
+                                onChange={(e) => update('model', e.target.value)}
+                                className={INPUT_CLASS}
+                            />
+                        </label>
+                        <label className="flex flex-col">
+                            API Key
+                            <input
+                                type="password"
+                                value={settings.apiKey}
+                                onChange={(e) => update('apiKey', e.target.value)}
+                                placeholder="Not needed for local servers"
+                                autoComplete="off"
+                                className={INPUT_CLASS}
+                            />
+                        </label>
+                        <p className="text-xs text-gray-400">The key is saved in this browser only.</p>
+                    </>
+                )}
+                <label className="flex flex-col">
+                    Prompt
+                    <textarea
+                        rows="3"
+                        value={settings.prompt}
+                        onChange={(e) => update('prompt', e.target.value)}
+                        className={INPUT_CLASS}
+                    />
+                </label>
+                <button
+                    onClick={() => update('prompt', DEFAULT_PROMPT)}
+                    className="self-end text-xs text-blue-300 hover:text-blue-200"
+                >
+                    Reset Prompt
+                </button>
+            </div>
+        </details>
+    );
+};
+
+export default DescriptionSettings;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * Small bar chart of a 256-bin luminance histogram.
+ * @param {Object} props
+ * @param {Uint32Array} props.histogram - Pixel counts, indexed by luminance.
+ */
+const Histogram = ({ histogram }) => {
+    // Scale to the tallest bin, ignoring pure black and white which often dwarf everything else
+    const peak = Math.max(1, ...Array.from(histogram.subarray(1, 255)));
+    const path = Array.from(histogram)
+        .map((count, v) => `M${v} 64V${64 - Math.min(64, (count / peak) * 64)}`)
+        .join('');
+
+    return (
+        <svg
+            viewBox="0 0 256 64"
+            preserveAspectRatio="none"
+            className="w-full h-16 bg-gray-900 rounded-md border border-gray-600"
+            role="img"
+            aria-label="Luminance histogram"
+        >
+            <path d={path} stroke="currentColor" strokeWidth="1" className="text-blue-400" />
+        </svg>
+    );
+};
+
+export default Histogram;
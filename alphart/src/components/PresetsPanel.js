@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { loadPresets, savePresets, presetsToJson, presetsFromJson } from '../lib/presets';
+import { buildShareUrl } from '../lib/shareLink';
+
+const INPUT_CLASS = 'p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200';
+const BUTTON_CLASS = 'py-1 px-3 rounded-md bg-gray-600 hover:bg-gray-500 text-white text-sm font-semibold transition-colors duration-200 disabled:opacity-50';
+
+/**
+ * Named presets kept in this browser, their JSON export and import, and share links.
+ * @param {Object} props
+ * @param {Object} props.settings - The settings in use, see DEFAULT_SETTINGS in presets.js.
+ * @param {string} props.art - The ASCII art on show as plain text, empty when there is none.
+ * @param {Function} props.onApply - Called with the settings of a loaded or imported preset.
+ * @param {Function} props.onDownload - Called with a Blob and a file name to save.
+ * @param {Function} props.onMessage - Called with a message to show the user.
+ */
+const PresetsPanel = ({ settings, art, onApply, onDownload, onMessage }) => {
+    const [presets, setPresets] = useState(loadPresets);
+    const [selected, setSelected] = useState('');
+    const [name, setName] = useState('');
+    const [includeArt, setIncludeArt] = useState(false);
+    const [linkStatus, setLinkStatus] = useState('');
+    const importInputRef = useRef(null);
+
+    // Keep the presets for later visits
+    useEffect(() => {
+        savePresets(presets);
+    }, [presets]);
+
+    // A copied link no longer matches once the settings change
+    useEffect(() => {
+        setLinkStatus('');
+    }, [settings, includeArt]);
+
+    const names = Object.keys(presets).sort((a, b) => a.localeCompare(b));
+
+    const savePreset = () => {
+        const trimmed = name.trim();
+        setPresets((current) => ({ ...current, [trimmed]: settings }));
+        setSelected(trimmed);
+        setName('');
+    };
+
+    const deletePreset = () => {
+        setPresets(({ [selected]: removed, ...rest }) => rest);
+        setSelected('');
+    };
+
+    const exportPresets = () => {
+        onDownload(new Blob([presetsToJson(presets)], { type: 'application/json' }), 'alphart_presets.json');
+    };
+
+    /**
+     * Adds the presets of an exported file, replacing any with the same names.
+     */
+    const importPresets = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) {
+            return;
+        }
+        try {
+            const imported = presetsFromJson(await file.text());
+            setPresets((current) => ({ ...current, ...imported }));
+            onMessage(`Imported ${Object.keys(imported).length} preset(s).`);
+        } catch (error) {
+            onMessage('Error importing presets: ' + error.message);
+        }
+    };
+
+    /**
+     * Copies a link that opens the app with the current settings, and the art if asked for.
+     */
+    const copyLink = async () => {
+        const url = buildShareUrl(window.location.href, settings, includeArt ? art : '');
+        try {
+            await navigator.clipboard.writeText(url);
+            setLinkStatus('Link copied!');
+        } catch (error) {
+            // No clipboard access, e.g. over plain HTTP; let the user copy it by hand
+            onMessage(`Copy this link: ${url}`);
+        }
+    };
+
+    return (
+        <details className="mt-6 w-full text-sm text-gray-300">
+            <summary className="cursor-pointer font-semibold">Presets &amp; Sharing</summary>
+            <div className="mt-2 p-3 bg-gray-700 rounded-lg shadow-inner flex flex-col gap-3">
+                <div className="flex gap-2">
+                    <select
+                        aria-label="Saved presets"
+                        value={selected}
+                        onChange={(e) => setSelected(e.target.value)}
+                        className={`${INPUT_CLASS} flex-1`}
+                    >
+                        <option value="">{names.length ? 'Choose a preset' : 'No saved presets'}</option>
+                        {names.map((presetName) => (
+                            <option key={presetName} value={presetName}>{presetName}</option>
+                        ))}
+                    </select>
+                    <button onClick={() => onApply(presets[selected])} disabled={!selected} className={BUTTON_CLASS}>
+                        Load
+                    </button>
+                    <button onClick={deletePreset} disabled={!selected} className={BUTTON_CLASS}>
+                        Delete
+                    </button>
+                </div>
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        aria-label="Preset name"
+                        placeholder="Preset name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        className={`${INPUT_CLASS} flex-1`}
+                    />
+                    <button onClick={savePreset} disabled={!name.trim()} className={BUTTON_CLASS}>
+                        Save
+                    </button>
+                </div>
+                <div className="flex gap-2">
+                    <button onClick={exportPresets} disabled={!names.length} className={`${BUTTON_CLASS} flex-1`}>
+                        Export Presets
+                    </button>
+                    <button onClick={() => importInputRef.current.click()} className={`${BUTTON_CLASS} flex-1`}>
+                        Import Presets
+                    </button>
+                    <input
+                        type="file"
+                        accept="application/json,.json"
+                        aria-label="Import presets file"
+                        ref={importInputRef}
+                        onChange={importPresets}
+                        className="hidden"
+                    />
+                </div>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={copyLink}
+                        className="py-1 px-3 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200"
+                    >
+                        Copy Link
+                    </button>
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={includeArt}
+                            disabled={!art}
+                            onChange={(e) => setIncludeArt(e.target.checked)}
+                            className="accent-blue-500"
+                        />
+                        Include output
+                    </label>
+                    <span className="text-xs text-gray-400" role="status">{linkStatus}</span>
+                </div>
+            </div>
+        </details>
+    );
+};
+
+export default PresetsPanel;
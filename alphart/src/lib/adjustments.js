@@ -0,0 +1,135 @@
+// Tonal pre-processing applied to the source pixels before the character mapping.
+// Every adjustment is folded into a single 256-entry tone curve that is applied to each channel.
+import { luminance } from './color.js';
+
+export const DEFAULT_ADJUSTMENTS = {
+    brightness: 0, // -100 to 100
+    contrast: 0, // -100 to 100
+    gamma: 1, // 0.1 to 5, above 1 brightens the midtones
+    autoLevels: false, // Stretch the darkest and brightest tones to the full range
+    equalize: false, // Spread tones evenly with histogram equalization
+};
+
+// Fraction of pixels ignored at each end of the histogram by auto-levels, so stray pixels don't count
+const LEVELS_CLIP = 0.005;
+
+/**
+ * Counts the pixels of each luminance value.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @returns {Uint32Array} 256 counts, indexed by luminance.
+ */
+export const computeHistogram = ({ data }) => {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < data.length; i += 4) {
+        histogram[luminance(data[i], data[i + 1], data[i + 2])]++;
+    }
+    return histogram;
+};
+
+/**
+ * Tells whether the adjustments leave the image untouched.
+ * @param {Object} adjustments - See DEFAULT_ADJUSTMENTS.
+ * @returns {boolean} True when no adjustment is active.
+ */
+export const isIdentity = (adjustments) =>
+    Object.keys(DEFAULT_ADJUSTMENTS).every((key) => adjustments[key] === DEFAULT_ADJUSTMENTS[key]);
+
+/**
+ * Builds the auto-levels curve, mapping the clipped darkest..brightest tones to 0..255.
+ */
+const levelsCurve = (histogram) => {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    const clip = total * LEVELS_CLIP;
+    let low = 0;
+    let high = 255;
+    for (let seen = 0; low < 255 && seen + histogram[low] <= clip; low++) {
+        seen += histogram[low];
+    }
+    for (let seen = 0; high > 0 && seen + histogram[high] <= clip; high--) {
+        seen += histogram[high];
+    }
+    if (high <= low) {
+        return (v) => v;
+    }
+    return (v) => ((v - low) / (high - low)) * 255;
+};
+
+/**
+ * Builds the histogram equalization curve from the cumulative distribution of tones.
+ */
+const equalizeCurve = (histogram) => {
+    const cdf = new Array(256);
+    let running = 0;
+    for (let v = 0; v < 256; v++) {
+        running += histogram[v];
+        cdf[v] = running;
+    }
+    const cdfMin = cdf.find((count) => count > 0) || 0;
+    const range = running - cdfMin;
+    if (range <= 0) {
+        return (v) => v;
+    }
+    return (v) => ((cdf[Math.round(Math.min(255, Math.max(0, v)))] - cdfMin) / range) * 255;
+};
+
+/**
+ * Builds the tone curve for a set of adjustments.
+ * Order: auto-levels, equalization, brightness, contrast, gamma.
+ * @param {Object} adjustments - See DEFAULT_ADJUSTMENTS.
+ * @param {Uint32Array} [histogram] - Luminance histogram, needed by auto-levels and equalization.
+ * @returns {Uint8ClampedArray} 256 output values, indexed by input value.
+ */
+export const buildToneCurve = (adjustments, histogram) => {
+    const { brightness, contrast, gamma, autoLevels, equalize } = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+    const levels = autoLevels && histogram ? levelsCurve(histogram) : (v) => v;
+    const equalization = equalize && histogram ? equalizeCurve(histogram) : (v) => v;
+
+    // Standard contrast correction factor, with contrast scaled to the 0-255 range
+    const c = contrast * 2.55;
+    const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+
+    const curve = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+        let value = equalization(levels(v));
+        value += brightness * 2.55;
+        value = contrastFactor * (value - 128) + 128;
+        value = 255 * Math.pow(Math.min(1, Math.max(0, value / 255)), 1 / gamma);
+        curve[v] = Math.round(value); // Uint8ClampedArray clamps to 0-255
+    }
+    return curve;
+};
+
+/**
+ * Applies the adjustments to every channel of an image.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {Object} adjustments - See DEFAULT_ADJUSTMENTS.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} A new, adjusted image.
+ */
+export const applyAdjustments = (imageData, adjustments) => {
+    const { width, height, data } = imageData;
+    const needsHistogram = adjustments.autoLevels || adjustments.equalize;
+    const curve = buildToneCurve(adjustments, needsHistogram ? computeHistogram(imageData) : null);
+
+    const adjusted = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        adjusted[i] = curve[data[i]];
+        adjusted[i + 1] = curve[data[i + 1]];
+        adjusted[i + 2] = curve[data[i + 2]];
+        adjusted[i + 3] = data[i + 3]; // Alpha is left alone
+    }
+    return { width, height, data: adjusted };
+};
+
+/**
+ * Predicts the histogram of an image after a tone curve, without touching the pixels.
+ * @param {Uint32Array} histogram - Luminance histogram of the source.
+ * @param {Uint8ClampedArray} curve - Tone curve from buildToneCurve.
+ * @returns {Uint32Array} The remapped histogram.
+ */
+export const remapHistogram = (histogram, curve) => {
+    const remapped = new Uint32Array(256);
+    for (let v = 0; v < 256; v++) {
+        remapped[curve[v]] += histogram[v];
+    }
+    return remapped;
+};
@@ -0,0 +1,67 @@
+import {
+  buildToneCurve,
+  applyAdjustments,
+  computeHistogram,
+  remapHistogram,
+  isIdentity,
+  DEFAULT_ADJUSTMENTS,
+} from './adjustments.js';
+
+// One row of gray pixels with the given values
+const grayRow = (values) => ({
+  width: values.length,
+  height: 1,
+  data: new Uint8ClampedArray(values.flatMap((v) => [v, v, v, 255])),
+});
+
+test('default adjustments are the identity', () => {
+  expect(isIdentity(DEFAULT_ADJUSTMENTS)).toBe(true);
+  expect(isIdentity({ ...DEFAULT_ADJUSTMENTS, gamma: 2 })).toBe(false);
+  const curve = buildToneCurve(DEFAULT_ADJUSTMENTS);
+  expect(Array.from(curve)).toEqual(Array.from({ length: 256 }, (_, v) => v));
+});
+
+test('brightness shifts and clamps', () => {
+  const curve = buildToneCurve({ brightness: 100 });
+  expect(curve[0]).toBe(255);
+  expect(buildToneCurve({ brightness: -20 })[100]).toBe(49);
+});
+
+test('contrast pushes values away from the midpoint', () => {
+  const curve = buildToneCurve({ contrast: 50 });
+  expect(curve[100]).toBeLessThan(100);
+  expect(curve[160]).toBeGreaterThan(160);
+});
+
+test('gamma above 1 brightens the midtones but keeps the ends', () => {
+  const curve = buildToneCurve({ gamma: 2 });
+  expect(curve[0]).toBe(0);
+  expect(curve[64]).toBe(128);
+  expect(curve[255]).toBe(255);
+});
+
+test('auto-levels stretches the used range', () => {
+  const image = grayRow([100, 150, 200]);
+  const histogram = computeHistogram(image);
+  const curve = buildToneCurve({ autoLevels: true }, histogram);
+  expect([curve[100], curve[150], curve[200]]).toEqual([0, 128, 255]);
+});
+
+test('equalization spreads tones by their cumulative share', () => {
+  const adjusted = applyAdjustments(grayRow([10, 10, 20, 30]), { equalize: true });
+  expect(Array.from(adjusted.data.filter((_, i) => i % 4 === 0))).toEqual([0, 0, 128, 255]);
+});
+
+test('adjustments keep alpha and return a new buffer', () => {
+  const image = grayRow([50]);
+  image.data[3] = 7;
+  const adjusted = applyAdjustments(image, { brightness: 10 });
+  expect(adjusted.data[3]).toBe(7);
+  expect(image.data[0]).toBe(50);
+});
+
+test('remaps a histogram through a tone curve', () => {
+  const histogram = computeHistogram(grayRow([0, 0, 255]));
+  const remapped = remapHistogram(histogram, buildToneCurve({ brightness: 100 }));
+  expect(remapped[255]).toBe(3);
+});
@@ -0,0 +1,37 @@
+// Frame-by-frame conversion of animations (GIFs and sampled videos).
+import { renderAsciiGrid } from './asciiRenderer.js';
+
+// Animation frames are kept at most this wide, which bounds the memory a long animation takes
+export const ANIMATION_MAX_WIDTH = 320;
+
+// Longest animation kept, in frames
+export const MAX_ANIMATION_FRAMES = 200;
+
+/**
+ * A frame of an animation.
+ * @typedef {Object} AnimationFrame
+ * @property {{width: number, height: number, data: Uint8ClampedArray}} imageData - The frame pixels.
+ * @property {number} delay - How long the frame shows, in milliseconds.
+ */
+
+/**
+ * A converted frame of an animation.
+ * @typedef {Object} AsciiFrame
+ * @property {import('./asciiRenderer').AsciiGrid} grid - The rendered frame.
+ * @property {number} delay - How long the frame shows, in milliseconds.
+ */
+
+/**
+ * Converts every frame of an animation with the same options.
+ * @param {AnimationFrame[]} frames - The source frames.
+ * @param {Object} options - Conversion options for renderAsciiGrid.
+ * @param {Function} [onProgress] - Called with the finished fraction (0-1) of the whole animation.
+ * @returns {AsciiFrame[]} The converted frames.
+ */
+export const renderFrames = (frames, options, onProgress) => frames.map(({ imageData, delay }, i) => ({
+    grid: renderAsciiGrid(imageData, {
+        ...options,
+        onProgress: onProgress && ((progress) => onProgress((i + progress) / frames.length)),
+    }),
+    delay,
+}));
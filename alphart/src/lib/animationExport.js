@@ -0,0 +1,115 @@
+// Export formats for converted animations: a JSON frame bundle, a self-contained HTML player
+// and an animated GIF drawn from the characters.
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { gridToText } from './asciiRenderer.js';
+import {
+    gridToHtmlBody, groupColorRuns, htmlLineHeight, DEFAULT_FOREGROUND, DEFAULT_BACKGROUND,
+} from './exporters.js';
+import { drawGridToCanvas } from './pngExport.js';
+
+/**
+ * Exports the frames as JSON: the text of every frame, plus its color runs in color mode.
+ * @param {import('./animation').AsciiFrame[]} frames - The converted frames.
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - Include each frame's color runs.
+ * @returns {string} The JSON document.
+ */
+export const framesToJson = (frames, { color = false } = {}) => JSON.stringify({
+    format: 'alphart-animation',
+    version: 1,
+    width: frames[0].grid.width,
+    height: frames[0].grid.height,
+    color,
+    frames: frames.map(({ grid, delay }) => ({
+        delay,
+        text: gridToText(grid),
+        ...(color && {
+            runs: grid.rows.map((row) => groupColorRuns(row).map(({ text, color: fg, background }) => (
+                background ? { text, color: fg, background } : { text, color: fg }
+            ))),
+        }),
+    })),
+});
+
+/**
+ * Exports the frames as a self-contained HTML page that plays them back.
+ * @param {import('./animation').AsciiFrame[]} frames - The converted frames.
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - Use the cell colors.
+ * @param {string} [options.foreground] - Text color when color is off.
+ * @param {string} [options.background] - Page background color.
+ * @param {number} [options.charAspectRatio] - Cell width / cell height the art was sized for; lines are 1em apart without it.
+ * @returns {string} The HTML document.
+ */
+export const framesToHtmlPlayer = (frames, {
+    color = false, foreground = DEFAULT_FOREGROUND, background = DEFAULT_BACKGROUND, charAspectRatio = null,
+} = {}) => {
+    // Escape '<' so the frame markup can't close the script element
+    const data = JSON.stringify(frames.map(({ grid, delay }) => ({ html: gridToHtmlBody(grid, color), delay })))
+        .replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>ASCII Animation</title>
+<style>
+body { margin: 0; background: ${background}; }
+pre { margin: 0; padding: 16px; color: ${foreground}; font-family: monospace; font-size: 12px; line-height: ${htmlLineHeight(charAspectRatio)}; }
+button { margin: 0 16px 16px; }
+</style>
+</head>
+<body>
+<pre id="frame"></pre>
+<button id="toggle">Pause</button>
+<script>
+const frames = ${data};
+const pre = document.getElementById('frame');
+const toggle = document.getElementById('toggle');
+let index = 0;
+let timer = null;
+const step = () => {
+    pre.innerHTML = frames[index].html;
+    timer = setTimeout(() => {
+        index = (index + 1) % frames.length;
+        step();
+    }, frames[index].delay);
+};
+toggle.addEventListener('click', () => {
+    if (timer === null) {
+        toggle.textContent = 'Pause';
+        step();
+    } else {
+        clearTimeout(timer);
+        timer = null;
+        toggle.textContent = 'Play';
+    }
+});
+step();
+</script>
+</body>
+</html>
+`;
+};
+
+/**
+ * Exports the frames as an animated GIF, drawing the characters like the PNG export does.
+ * @param {import('./animation').AsciiFrame[]} frames - The converted frames.
+ * @param {Object} [options] - Drawing options, see DEFAULT_PNG_OPTIONS in pngExport.js.
+ * @returns {Blob} The GIF image.
+ */
+export const framesToGifBlob = (frames, options = {}) => {
+    const canvas = document.createElement('canvas');
+    const gif = GIFEncoder();
+
+    frames.forEach(({ grid, delay }) => {
+        drawGridToCanvas(canvas, grid, options);
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        // GIF frames hold at most 256 colors
+        const palette = quantize(data, 256);
+        gif.writeFrame(applyPalette(data, palette), canvas.width, canvas.height, { palette, delay });
+    });
+
+    gif.finish();
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+};
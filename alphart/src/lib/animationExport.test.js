@@ -0,0 +1,32 @@
+import { framesToJson, framesToHtmlPlayer } from './animationExport.js';
+
+const red = [255, 0, 0];
+
+// Two 2x1 frames, the second with markup that must not end the player's script
+const frames = [
+  { grid: { width: 2, height: 1, rows: [[{ char: '#', color: red }, { char: '@', color: red }]] }, delay: 100 },
+  { grid: { width: 2, height: 1, rows: [[{ char: '<', color: red }, { char: '/', color: red }]] }, delay: 40 },
+];
+
+test('json export holds the text and delay of every frame', () => {
+  const bundle = JSON.parse(framesToJson(frames));
+  expect(bundle).toMatchObject({ width: 2, height: 1, color: false });
+  expect(bundle.frames).toEqual([{ delay: 100, text: '#@\n' }, { delay: 40, text: '</\n' }]);
+});
+
+test('json export includes the color runs in color mode', () => {
+  const bundle = JSON.parse(framesToJson(frames, { color: true }));
+  expect(bundle.frames[0].runs).toEqual([[{ text: '#@', color: '#ff0000' }]]);
+});
+
+test('html player embeds every frame without breaking out of its script', () => {
+  const html = framesToHtmlPlayer(frames);
+  expect(html).toContain('"html":"#@","delay":100');
+  expect(html).toContain('"html":"&lt;/","delay":40');
+  expect(html.match(/<\/script>/g)).toHaveLength(1);
+});
+
+test('html player spaces lines to match the character aspect ratio', () => {
+  expect(framesToHtmlPlayer(frames)).toContain('line-height: 1;');
+  expect(framesToHtmlPlayer(frames, { charAspectRatio: 0.4 })).toContain('line-height: 1.5;');
+});
@@ -0,0 +1,259 @@
+// Pure ASCII rendering library.
+// Works on any ImageData-like object ({ width, height, data }) so it can be used
+// with a canvas in the browser or with synthetic pixel buffers in tests.
+import { sampleCell, DEFAULT_RESAMPLING } from './resample.js';
+import { REVERSED_ALL_ASCII_CHARS, buildCharLookup } from './charsets.js';
+import { luminance } from './color.js';
+import { applyAdjustments, isIdentity } from './adjustments.js';
+import { ditherToIndices } from './dither.js';
+import { detectCellEdges } from './edges.js';
+import { renderBrailleGrid, renderHalfBlockGrid } from './subcellModes.js';
+import { addCaptionBanner, captionStream } from './captions.js';
+import { transformImageData, isIdentityTransform } from './transform.js';
+
+// Default conversion options
+export const DEFAULT_OPTIONS = {
+    width: 120, // Desired character width for the ASCII art output
+    height: null, // Desired number of lines; when set, the width follows from it unless `fit` is on
+    fit: false, // Treat width and height as limits, and make the art as large as fits within both
+    // Monospace characters are typically taller than they are wide.
+    // A common character aspect ratio (width/height) for monospace fonts is around 0.5.
+    charAspectRatio: 0.5,
+    charset: REVERSED_ALL_ASCII_CHARS, // Ramp ordered from lightest to darkest
+    levels: null, // Measured density of each ramp character (0-1), null for even spacing
+    invert: false, // Invert the grayscale value before mapping
+    resampling: DEFAULT_RESAMPLING, // How each cell's color is computed from the source pixels
+    mode: 'ramp', // One of the RENDER_MODES keys
+    threshold: 128, // Grayscale value above which a braille dot or half block is lit, and below which word fill writes
+    color: false, // Half-block mode: paint both halves with their own colors
+    transform: null, // Crop, rotation and flips applied to the source first, see transform.js
+    adjustments: null, // Tonal pre-processing applied before the character mapping, see adjustments.js
+    dither: 'none', // Ramp mode: one of the DITHER_MODES keys from dither.js
+    edges: false, // Ramp mode: draw outlines with characters that follow their orientation
+    edgeThreshold: 64, // Minimum edge strength (0-255) for a cell to be drawn as an outline
+    edgesOnly: false, // Leave everything but the outlines blank
+    caption: '', // Text put into the art, see captionMode
+    captionMode: 'none', // One of the CAPTION_MODES keys from captions.js; word fill only applies to ramp mode
+    onProgress: null, // Called with the finished fraction (0-1) after every row
+};
+
+// Available render modes
+export const RENDER_MODES = {
+    ramp: 'Character ramp',
+    braille: 'Braille (2×4 dots per character)',
+    halfblock: 'Half blocks (2 pixels per character)',
+};
+
+// Ways to size the output
+export const SIZE_MODES = {
+    width: 'Width',
+    height: 'Height',
+    terminal: 'Fit a terminal',
+};
+
+// When sizing by height, very wide images are kept to the widest output the width setting allows
+export const HEIGHT_MODE_MAX_WIDTH = 300;
+
+// Common terminal sizes, in columns and lines
+export const TERMINAL_SIZES = {
+    '80x24': { columns: 80, rows: 24 },
+    '100x30': { columns: 100, rows: 30 },
+    '120x40': { columns: 120, rows: 40 },
+    '160x50': { columns: 160, rows: 50 },
+};
+
+/**
+ * Calculates the number of character rows for a given image size.
+ * @param {number} imageWidth - Source width in pixels.
+ * @param {number} imageHeight - Source height in pixels.
+ * @param {number} width - Output width in characters.
+ * @param {number} charAspectRatio - Character width/height ratio.
+ * @returns {number} Output height in characters (at least 1).
+ */
+export const getOutputHeight = (imageWidth, imageHeight, width, charAspectRatio) =>
+    Math.max(1, Math.floor((imageHeight / imageWidth) * width * charAspectRatio));
+
+/**
+ * Calculates the output size in characters from the sizing options.
+ * @param {number} imageWidth - Source width in pixels.
+ * @param {number} imageHeight - Source height in pixels.
+ * @param {Object} options - `width`, `height`, `fit` and `charAspectRatio`, see DEFAULT_OPTIONS.
+ * @returns {{width: number, height: number}} Output columns and rows (at least 1 each).
+ */
+export const getOutputSize = (imageWidth, imageHeight, { width, height, fit, charAspectRatio }) => {
+    if (!height) {
+        return { width, height: getOutputHeight(imageWidth, imageHeight, width, charAspectRatio) };
+    }
+    // Columns that keep the image proportions at the requested number of lines
+    const widthForHeight = Math.max(1, Math.round(height / ((imageHeight / imageWidth) * charAspectRatio)));
+    if (!fit || widthForHeight <= width) {
+        return { width: widthForHeight, height };
+    }
+    // Too wide to fit: the width limits the size instead
+    return { width, height: Math.min(height, getOutputHeight(imageWidth, imageHeight, width, charAspectRatio)) };
+};
+
+/**
+ * A single character cell of the rendered output.
+ * @typedef {Object} AsciiCell
+ * @property {string} char - The character drawn in the cell.
+ * @property {number[]} color - Average [r, g, b] color of the source pixels the cell covers.
+ * @property {number[]} [background] - Background [r, g, b] color, for modes that paint it.
+ */
+
+/**
+ * A rendered character grid.
+ * @typedef {Object} AsciiGrid
+ * @property {number} width - Number of columns.
+ * @property {number} height - Number of rows.
+ * @property {AsciiCell[][]} rows - The cells, row by row.
+ */
+
+/**
+ * Renders an image with the character ramp.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels, already adjusted.
+ * @param {Object} settings - Conversion options, with `height` in characters.
+ * @returns {AsciiGrid} The rendered grid.
+ */
+const renderRampGrid = (imageData, settings) => {
+    const {
+        width, height, charset, levels, invert, resampling, dither, edges, edgeThreshold, edgesOnly,
+        threshold, caption, captionMode, onProgress,
+    } = settings;
+
+    const rows = [];
+    const grayscales = new Float32Array(width * height);
+
+    // Loop through the character cells, sampling the source pixels each one covers
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            // Get the RGB color of the cell (we'll ignore alpha for intensity)
+            const color = sampleCell(imageData, x, y, width, height, resampling).map(Math.round);
+            let grayscale = luminance(...color);
+
+            // Apply color inversion if requested
+            if (invert) {
+                grayscale = 255 - grayscale;
+            }
+
+            grayscales[y * width + x] = grayscale;
+            row.push({ char: null, color });
+        }
+        rows.push(row);
+        if (onProgress) {
+            onProgress((y + 1) / height);
+        }
+    }
+
+    // Map every cell to a character, either directly or through the selected dithering
+    if (dither === 'none') {
+        const charLookup = buildCharLookup(charset, levels);
+        rows.forEach((row, y) => row.forEach((cell, x) => {
+            cell.char = charLookup[grayscales[y * width + x]];
+        }));
+    } else {
+        const grayLevels = levels
+            ? levels.map((level) => level * 255)
+            : charset.map((_, i) => (i / Math.max(1, charset.length - 1)) * 255);
+        const indices = ditherToIndices(grayscales, width, height, grayLevels, dither);
+        rows.forEach((row, y) => row.forEach((cell, x) => {
+            cell.char = charset[indices[y * width + x]];
+        }));
+    }
+
+    // Replace the density characters of outline cells with directional ones
+    if (edges) {
+        const edgeChars = detectCellEdges(imageData, width, height, edgeThreshold);
+        rows.forEach((row, y) => row.forEach((cell, x) => {
+            const edgeChar = edgeChars[y * width + x];
+            if (edgeChar) {
+                cell.char = edgeChar;
+            } else if (edgesOnly) {
+                cell.char = ' ';
+            }
+        }));
+    }
+
+    // Write the caption, repeated, into the cells darker than the threshold
+    const text = captionMode === 'word-fill' ? captionStream(caption) : [];
+    if (text.length) {
+        let next = 0;
+        rows.forEach((row, y) => row.forEach((cell, x) => {
+            if (grayscales[y * width + x] < threshold) {
+                cell.char = text[next];
+                next = (next + 1) % text.length;
+            }
+        }));
+    }
+
+    return { width, height, rows };
+};
+
+/**
+ * Renders an image to a grid of character cells, keeping each cell's color.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {Object} [options] - Conversion options, see DEFAULT_OPTIONS.
+ * @returns {AsciiGrid} The rendered grid.
+ */
+export const renderAsciiGrid = (sourceImageData, options = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { mode, transform, adjustments, caption, captionMode } = settings;
+
+    // Keep only the selected region, turned and flipped as requested
+    const region = transform && !isIdentityTransform(transform)
+        ? transformImageData(sourceImageData, transform)
+        : sourceImageData;
+
+    // Then apply brightness, contrast and the other tonal adjustments
+    const imageData = adjustments && !isIdentity(adjustments)
+        ? applyAdjustments(region, adjustments)
+        : region;
+
+    // Calculate the output size from the sizing options and the character aspect ratio
+    const size = getOutputSize(imageData.width, imageData.height, settings);
+
+    let grid;
+    if (mode === 'braille') {
+        // Sub-character modes pack several source pixels into every character
+        grid = renderBrailleGrid(imageData, { ...settings, ...size });
+    } else if (mode === 'halfblock') {
+        grid = renderHalfBlockGrid(imageData, { ...settings, ...size });
+    } else {
+        grid = renderRampGrid(imageData, { ...settings, ...size });
+    }
+
+    return captionMode === 'banner' && caption ? addCaptionBanner(grid, caption) : grid;
+};
+
+/**
+ * Joins the characters of a grid into plain text.
+ * @param {AsciiGrid} grid - The rendered grid.
+ * @returns {string} The ASCII art, one line per row, each terminated by a newline.
+ */
+export const gridToText = (grid) =>
+    grid.rows.map((row) => row.map((cell) => cell.char).join('') + '\n').join('');
+
+/**
+ * Builds a grid back from plain ASCII art, for art that arrives without its colors.
+ * @param {string} text - The art, one line per row.
+ * @param {number[]} [color] - The [r, g, b] color given to every cell.
+ * @returns {AsciiGrid} The grid, padded with spaces to the longest line.
+ */
+export const gridFromText = (text, color = [255, 255, 255]) => {
+    const lines = text.replace(/\n$/, '').split('\n');
+    const width = Math.max(...lines.map((line) => Array.from(line).length));
+    const rows = lines.map((line) => {
+        const chars = Array.from(line);
+        return Array.from({ length: width }, (_, x) => ({ char: chars[x] || ' ', color }));
+    });
+    return { width, height: rows.length, rows };
+};
+
+/**
+ * Renders an image to an ASCII art string.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {Object} [options] - Conversion options, see DEFAULT_OPTIONS.
+ * @returns {string} The ASCII art, one line per row, each terminated by a newline.
+ */
+export const renderAscii = (imageData, options = {}) => gridToText(renderAsciiGrid(imageData, options));
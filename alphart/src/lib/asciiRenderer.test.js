@@ -0,0 +1,119 @@
+import {
+  renderAscii,
+  renderAsciiGrid,
+  getOutputHeight,
+  getOutputSize,
+  gridToText,
+  gridFromText,
+} from './asciiRenderer.js';
+
+// Builds an ImageData-like buffer where every pixel gets the color returned by fill(x, y)
+const makeImage = (width, height, fill) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = fill(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+const gray = (v) => () => [v, v, v];
+
+test('output height follows the image and character aspect ratios', () => {
+  expect(getOutputHeight(100, 100, 40, 0.5)).toBe(20);
+  expect(getOutputHeight(200, 100, 40, 0.5)).toBe(10);
+  expect(getOutputHeight(1000, 1, 40, 0.5)).toBe(1);
+});
+
+test('renders rows of the requested width', () => {
+  const lines = renderAscii(makeImage(8, 8, gray(0)), { width: 4 }).split('\n');
+  expect(lines).toEqual(['    ', '    ', '']);
+});
+
+test('inverts the grayscale value', () => {
+  const image = makeImage(4, 4, gray(0));
+  expect(renderAscii(image, { width: 2, charAspectRatio: 1, invert: true })).toBe('@@\n@@\n');
+});
+
+test('uses the given charset', () => {
+  const image = makeImage(4, 2, (x) => (x < 2 ? [0, 0, 0] : [255, 255, 255]));
+  expect(renderAscii(image, { width: 4, charAspectRatio: 1, charset: ['a', 'b', 'c'] })).toBe('aabb\naabb\n');
+});
+
+test('keeps the average color of each cell', () => {
+  const image = makeImage(4, 2, (x) => (x < 2 ? [200, 0, 0] : [0, 0, 100]));
+  const { width, height, rows } = renderAsciiGrid(image, { width: 2, charAspectRatio: 0.5 });
+  expect(width).toBe(2);
+  expect(height).toBe(1);
+  expect(rows[0].map((cell) => cell.color)).toEqual([[200, 0, 0], [0, 0, 100]]);
+});
+
+test('braille mode packs a 2x4 dot matrix into each character', () => {
+  // Left column of dots lit, right column dark
+  const image = makeImage(2, 4, (x) => (x === 0 ? [255, 255, 255] : [0, 0, 0]));
+  expect(renderAscii(image, { width: 1, mode: 'braille' })).toBe('\u2847\n');
+});
+
+test('half-block mode thresholds the top and bottom pixels', () => {
+  const image = makeImage(2, 2, (x, y) => (y === 0 || x === 1 ? [255, 255, 255] : [0, 0, 0]));
+  expect(renderAscii(image, { width: 2, charAspectRatio: 0.5, mode: 'halfblock' })).toBe('▀█\n');
+});
+
+test('half-block color mode paints the bottom pixel as background', () => {
+  const image = makeImage(1, 2, (x, y) => (y === 0 ? [255, 0, 0] : [0, 0, 255]));
+  const { rows } = renderAsciiGrid(image, { width: 1, charAspectRatio: 0.5, mode: 'halfblock', color: true });
+  expect(rows[0][0]).toEqual({ char: '▀', color: [255, 0, 0], background: [0, 0, 255] });
+});
+
+test('dithering a mid gray mixes the ends of the ramp', () => {
+  const image = makeImage(8, 8, gray(128));
+  const chars = new Set(renderAscii(image, { width: 8, charAspectRatio: 1, charset: ['.', '#'], dither: 'floyd-steinberg' }));
+  expect(chars).toEqual(new Set(['.', '#', '\n']));
+});
+
+test('outlines-only mode blanks everything but the edges', () => {
+  const image = makeImage(40, 20, (x) => (x >= 20 ? [255, 255, 255] : [0, 0, 0]));
+  const lines = renderAscii(image, { width: 4, charAspectRatio: 0.1, edges: true, edgesOnly: true }).split('\n');
+  expect(lines[0]).toBe(' || ');
+});
+
+test('word fill writes the caption into the dark cells', () => {
+  const image = makeImage(6, 2, (x) => (x < 4 ? [0, 0, 0] : [255, 255, 255]));
+  const options = { width: 6, charAspectRatio: 1, charset: ['#', '#'], caption: 'hi  yo', captionMode: 'word-fill' };
+  expect(renderAscii(image, options)).toBe('hi y##\no hi##\n');
+});
+
+test('banner mode frames the caption under the art', () => {
+  const image = makeImage(8, 1, gray(0));
+  const lines = renderAscii(image, { width: 8, charAspectRatio: 1, caption: 'cat', captionMode: 'banner' }).split('\n');
+  expect(lines).toEqual(['        ', '+------+', '| cat  |', '+------+', '']);
+});
+
+test('samples only the cropped region', () => {
+  const image = makeImage(4, 2, (x) => (x < 2 ? [0, 0, 0] : [255, 255, 255]));
+  const transform = { crop: { x: 0, y: 0, width: 0.5, height: 1 } };
+  expect(renderAscii(image, { width: 2, charAspectRatio: 0.5, transform })).toBe('  \n');
+});
+
+test('sizes the output by height, or to fit within both limits', () => {
+  const options = { width: 80, height: 24, charAspectRatio: 0.5 };
+  // A square image is twice as many columns as lines
+  expect(getOutputSize(100, 100, { ...options, height: 10 })).toEqual({ width: 20, height: 10 });
+  expect(getOutputSize(100, 100, { ...options, fit: true })).toEqual({ width: 48, height: 24 });
+  // A wide image runs out of columns first
+  expect(getOutputSize(400, 100, { ...options, fit: true })).toEqual({ width: 80, height: 10 });
+  expect(getOutputSize(400, 100, { ...options, height: null })).toEqual({ width: 80, height: 10 });
+});
+
+test('builds a grid back from plain text, padding short lines', () => {
+  const grid = gridFromText('ab\nc\n');
+  expect(grid.width).toBe(2);
+  expect(grid.height).toBe(2);
+  expect(gridToText(grid)).toBe('ab\nc \n');
+});
@@ -0,0 +1,47 @@
+// Packs the results of a batch conversion into a single ZIP file, built in the browser.
+import { zipSync, strToU8 } from 'fflate';
+import { EXPORT_FORMATS } from './exporters.js';
+
+/**
+ * Picks a file name without extension for every source file, numbering repeats so no two collide.
+ * @param {string[]} names - Source file names.
+ * @returns {string[]} The base names, in the same order.
+ */
+export const uniqueBaseNames = (names) => {
+    const used = new Set();
+    return names.map((name) => {
+        const base = name.replace(/\.[^./]*$/, '').replace(/[\\/:*?"<>|]/g, '_') || 'image';
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base}-${n}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+};
+
+/**
+ * Builds a ZIP holding every converted image in every export format.
+ * Each format gets its own folder, so the plain text outputs sit together in txt/.
+ * @param {{name: string, grid: import('./asciiRenderer').AsciiGrid}[]} results - The converted images
+ *     and the names of their source files.
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - Keep the cell colors in formats that support them.
+ * @param {number} [options.charAspectRatio] - Cell width / cell height the art was sized for.
+ * @param {string[]} [options.formats] - EXPORT_FORMATS keys to include; all of them by default.
+ * @returns {Uint8Array} The ZIP file.
+ */
+export const batchToZip = (results, {
+    color = false, charAspectRatio = null, formats = Object.keys(EXPORT_FORMATS),
+} = {}) => {
+    const baseNames = uniqueBaseNames(results.map((result) => result.name));
+    const files = {};
+    formats.forEach((format) => {
+        const folder = {};
+        results.forEach(({ grid }, i) => {
+            folder[`${baseNames[i]}.${format}`] = strToU8(EXPORT_FORMATS[format].render(grid, { color, charAspectRatio }));
+        });
+        files[format] = folder;
+    });
+    return zipSync(files, { level: 6 });
+};
@@ -0,0 +1,25 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import { batchToZip, uniqueBaseNames } from './batchExport.js';
+
+// Lists the files of a ZIP, leaving out folder entries
+const unzipFiles = (zip) => Object.fromEntries(Object.entries(unzipSync(zip)).filter(([path]) => !path.endsWith('/')));
+
+const grid = (char) => ({ width: 1, height: 1, rows: [[{ char, color: [255, 0, 0] }]] });
+
+test('numbers repeated names and strips extensions', () => {
+  expect(uniqueBaseNames(['a.png', 'A.jpg', 'a.gif', 'b.c.png', '.png'])).toEqual(['a', 'A-2', 'a-3', 'b.c', 'image']);
+});
+
+test('zips every result in every format, one folder per format', () => {
+  const files = unzipFiles(batchToZip([{ name: 'one.png', grid: grid('#') }, { name: 'two.png', grid: grid('@') }]));
+  expect(Object.keys(files).sort()).toEqual([
+    'ans/one.ans', 'ans/two.ans', 'html/one.html', 'html/two.html',
+    'svg/one.svg', 'svg/two.svg', 'txt/one.txt', 'txt/two.txt',
+  ]);
+  expect(strFromU8(files['txt/two.txt'])).toBe('@\n');
+});
+
+test('includes only the chosen formats', () => {
+  const files = unzipFiles(batchToZip([{ name: 'one.png', grid: grid('#') }], { formats: ['txt'], color: true }));
+  expect(Object.keys(files)).toEqual(['txt/one.txt']);
+});
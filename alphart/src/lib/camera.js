@@ -0,0 +1,41 @@
+// Live camera input through getUserMedia.
+
+/**
+ * Starts the camera and calls back at a steady rate while it plays.
+ * @param {Object} options
+ * @param {MediaDevices} options.mediaDevices - Where to request the camera from, usually navigator.mediaDevices.
+ * @param {HTMLVideoElement} options.video - Element the camera plays into.
+ * @param {number} options.fps - Frames handed out per second.
+ * @param {Function} options.onFrame - Called with the video element for every frame to render.
+ * @returns {Promise<{stop: Function}>} Resolves once the camera plays; stop() releases it.
+ */
+export const startCamera = async ({ mediaDevices, video, fps, onFrame }) => {
+    if (!mediaDevices || !mediaDevices.getUserMedia) {
+        throw new Error('This browser cannot access a camera.');
+    }
+    const stream = await mediaDevices.getUserMedia({ video: true, audio: false });
+
+    // Turns the camera off, which also clears the browser's recording indicator
+    const release = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        video.srcObject = null;
+    };
+
+    try {
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+        await video.play();
+    } catch (error) {
+        release();
+        throw error;
+    }
+
+    const timer = setInterval(() => onFrame(video), 1000 / fps);
+    return {
+        stop: () => {
+            clearInterval(timer);
+            release();
+        },
+    };
+};
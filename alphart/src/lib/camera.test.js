@@ -0,0 +1,47 @@
+import { startCamera } from './camera.js';
+
+// Minimal stand-in for a camera stream with a single video track
+const fakeStream = () => {
+  const track = { stop: jest.fn() };
+  return { track, getTracks: () => [track] };
+};
+
+const fakeVideo = () => ({ play: jest.fn().mockResolvedValue() });
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('plays the stream and hands out frames until stopped', async () => {
+  const stream = fakeStream();
+  const mediaDevices = { getUserMedia: jest.fn().mockResolvedValue(stream) };
+  const video = fakeVideo();
+  const onFrame = jest.fn();
+
+  const camera = await startCamera({ mediaDevices, video, fps: 10, onFrame });
+  expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({ video: true, audio: false });
+  expect(video.srcObject).toBe(stream);
+
+  jest.advanceTimersByTime(300);
+  expect(onFrame).toHaveBeenCalledTimes(3);
+  expect(onFrame).toHaveBeenCalledWith(video);
+
+  camera.stop();
+  jest.advanceTimersByTime(300);
+  expect(onFrame).toHaveBeenCalledTimes(3);
+  expect(stream.track.stop).toHaveBeenCalled();
+  expect(video.srcObject).toBeNull();
+});
+
+test('rejects without camera support', async () => {
+  await expect(startCamera({ mediaDevices: undefined, video: fakeVideo(), fps: 10, onFrame: jest.fn() }))
+    .rejects.toThrow(/cannot access a camera/i);
+});
+
+test('releases the camera when playback fails', async () => {
+  const stream = fakeStream();
+  const video = { play: jest.fn().mockRejectedValue(new Error('blocked')) };
+  const mediaDevices = { getUserMedia: jest.fn().mockResolvedValue(stream) };
+
+  await expect(startCamera({ mediaDevices, video, fps: 10, onFrame: jest.fn() })).rejects.toThrow('blocked');
+  expect(stream.track.stop).toHaveBeenCalled();
+});
@@ -0,0 +1,106 @@
+// Captions in the art: a framed banner under the output, or words written into the dark regions.
+
+// Color of the banner frame and text
+const BANNER_COLOR = [255, 255, 255];
+
+// Narrowest grid a banner fits in: two frame characters, two spaces and one letter
+const MIN_BANNER_WIDTH = 5;
+
+// Ways to put a caption into the art
+export const CAPTION_MODES = {
+    none: 'None',
+    banner: 'Framed banner under the art',
+    'word-fill': 'Fill dark regions with the words',
+};
+
+/**
+ * Picks the caption out of an image description: the text after "Caption:" if there is one,
+ * otherwise the first sentence. Markdown emphasis and surrounding quotes are removed.
+ * @param {string} description - The description text.
+ * @returns {string} The caption.
+ */
+export const extractCaption = (description) => {
+    const text = description.replace(/[*_#`]/g, '');
+    const match = text.match(/caption\s*:\s*([^\n]+)/i);
+    // Up to the first end mark followed by a space, or the whole text; no lookbehind, which older Safari lacks
+    const sentence = text.trim().match(/^[\s\S]*?[.!?](?=\s|$)/);
+    const caption = match ? match[1] : (sentence ? sentence[0] : text.trim());
+    return caption.trim().replace(/^["'“”]+|["'“”]+$/g, '').trim();
+};
+
+/**
+ * Collapses the whitespace of a caption, so it repeats as a single stream of words.
+ * @param {string} caption - The caption.
+ * @returns {string[]} The caption characters, each word followed by one space.
+ */
+export const captionStream = (caption) => {
+    const words = caption.split(/\s+/).filter(Boolean);
+    return words.length ? Array.from(words.join(' ') + ' ') : [];
+};
+
+/**
+ * Wraps text to lines of at most the given length, splitting words that don't fit on a line.
+ * @param {string} text - The text.
+ * @param {number} lineLength - Longest line, in characters (at least 1).
+ * @returns {string[]} The lines.
+ */
+export const wrapText = (text, lineLength) => {
+    if (lineLength < 1) {
+        throw new Error('Lines must hold at least one character.');
+    }
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+        let rest = Array.from(word);
+        while (rest.length > lineLength) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(rest.slice(0, lineLength).join(''));
+            rest = rest.slice(lineLength);
+        }
+        const piece = rest.join('');
+        if (!line) {
+            line = piece;
+        } else if (Array.from(line).length + 1 + rest.length <= lineLength) {
+            line += ' ' + piece;
+        } else {
+            lines.push(line);
+            line = piece;
+        }
+    });
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+};
+
+/**
+ * Appends a framed banner holding the caption under a grid, centered and wrapped to the grid width.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {string} caption - The caption.
+ * @returns {import('./asciiRenderer').AsciiGrid} A taller grid, or the same grid when the caption is empty
+ *     or the grid too narrow.
+ */
+export const addCaptionBanner = (grid, caption) => {
+    const { width } = grid;
+    if (width < MIN_BANNER_WIDTH) {
+        return grid;
+    }
+    const lines = wrapText(caption, width - 4);
+    if (!lines.length) {
+        return grid;
+    }
+
+    const toRow = (text) => Array.from(text).map((char) => ({ char, color: BANNER_COLOR }));
+    const border = toRow('+' + '-'.repeat(width - 2) + '+');
+    const bannerRows = lines.map((line) => {
+        const padding = width - 4 - Array.from(line).length;
+        const left = Math.floor(padding / 2);
+        return toRow('| ' + ' '.repeat(left) + line + ' '.repeat(padding - left) + ' |');
+    });
+
+    const rows = [...grid.rows, border, ...bannerRows, border];
+    return { width, height: rows.length, rows };
+};
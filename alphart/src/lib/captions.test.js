@@ -0,0 +1,28 @@
+import { extractCaption, wrapText, addCaptionBanner, captionStream } from './captions.js';
+
+test('extracts the caption after a caption label', () => {
+  const description = 'A cat sleeps on a sunny windowsill.\n\n**Caption:** "Sunday, well spent."';
+  expect(extractCaption(description)).toBe('Sunday, well spent.');
+});
+
+test('falls back to the first sentence', () => {
+  expect(extractCaption('A red bicycle. It leans on a wall.')).toBe('A red bicycle.');
+  expect(extractCaption('Version 2.5 is out! Get it now.')).toBe('Version 2.5 is out!');
+  expect(extractCaption('A red bicycle leaning on a wall')).toBe('A red bicycle leaning on a wall');
+});
+
+test('wraps words and splits the ones longer than a line', () => {
+  expect(wrapText('the quick brown fox', 9)).toEqual(['the quick', 'brown fox']);
+  expect(wrapText('a supercalifragilistic word', 8)).toEqual(['a', 'supercal', 'ifragili', 'stic', 'word']);
+});
+
+test('repeats the caption as a single stream of words', () => {
+  expect(captionStream('  hi\nthere ').join('')).toBe('hi there ');
+  expect(captionStream('   ')).toEqual([]);
+});
+
+test('leaves grids too narrow for a banner alone', () => {
+  const grid = { width: 4, height: 1, rows: [[]] };
+  expect(addCaptionBanner(grid, 'caption')).toBe(grid);
+  expect(addCaptionBanner({ ...grid, width: 10 }, '  ')).toEqual({ ...grid, width: 10 });
+});
@@ -0,0 +1,98 @@
+// Character ramps and density calibration.
+// A ramp is an array of characters ordered from lightest to darkest visual density.
+// It can come with `levels`: the measured density of each character (0-1, ascending),
+// used to space the ramp instead of assuming evenly spaced characters.
+
+// ASCII character set, ordered from lightest to darkest visual density
+// This set includes a mix of characters and punctuation.
+export const REVERSED_ALL_ASCII_CHARS = [
+    ' ', '.', ',', ':', ';', '+', '*', '?', '%', 'S', '#', '@'
+];
+
+// Alphanumeric ASCII character set, ordered from lightest to darkest visual density
+// This set contains only letters and numbers for a different stylistic effect.
+export const REVERSED_ALPHANUMERIC_CHARS = [
+    ' ', '.', '1', 'l', 't', 'c', 'e', 's', 'u', 'd', 'h', 'k', 'm', '0', '8', 'M', 'W'
+];
+
+// Paul Bourke's classic 70-character ramp, reversed to go from lightest to darkest
+const STANDARD_70_CHARS = Array.from(
+    '$@B%8&WM#*oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~<>i!lI;:,"^`\'. '
+).reverse();
+
+// Selectable ramps, keyed by preset id
+export const CHARSET_PRESETS = {
+    classic: { label: 'Classic (12 chars)', chars: REVERSED_ALL_ASCII_CHARS },
+    alphanumeric: { label: 'Alphanumeric only', chars: REVERSED_ALPHANUMERIC_CHARS },
+    standard: { label: 'Standard (70 chars)', chars: STANDARD_70_CHARS },
+    blocks: { label: 'Blocks', chars: [' ', '░', '▒', '▓', '█'] },
+    minimal: { label: 'Minimal', chars: [' ', '.', ':', '-', '=', '+', '*', '#', '%', '@'] },
+};
+
+export const DEFAULT_CHARSET = 'classic';
+
+/**
+ * Splits user input into a list of unique characters.
+ * Works on code points, so astral-plane characters are kept whole.
+ * @param {string} text - The characters typed by the user.
+ * @returns {string[]} The unique characters, in input order.
+ */
+export const parseCharset = (text) => Array.from(new Set(Array.from(text.replace(/[\r\n\t]/g, ''))));
+
+/**
+ * Sorts a ramp by measured ink coverage and normalizes the coverages into levels.
+ * @param {string[]} chars - The characters of the ramp.
+ * @param {number[]} coverages - Ink coverage of each character (any scale, higher is darker).
+ * @returns {{chars: string[], levels: number[]}} The ramp ordered from lightest to darkest.
+ */
+export const calibrateRamp = (chars, coverages) => {
+    const sorted = chars
+        .map((char, i) => ({ char, coverage: coverages[i] }))
+        .sort((a, b) => a.coverage - b.coverage);
+    const min = sorted[0].coverage;
+    const range = sorted[sorted.length - 1].coverage - min;
+
+    return {
+        chars: sorted.map((entry) => entry.char),
+        // Fall back to even spacing when every glyph is equally dense
+        levels: sorted.map((entry, i) => (range > 0
+            ? (entry.coverage - min) / range
+            : i / Math.max(1, sorted.length - 1))),
+    };
+};
+
+/**
+ * Maps a grayscale value (0-255) to a character of an evenly spaced ramp.
+ * @param {number} grayscale - Grayscale value (0-255).
+ * @param {string[]} charset - Ramp ordered from lightest to darkest.
+ * @returns {string} The corresponding character.
+ */
+export const grayscaleToChar = (grayscale, charset) =>
+    charset[Math.floor((grayscale / 255) * (charset.length - 1))];
+
+/**
+ * Builds a table mapping every grayscale value (0-255) to a character of the ramp.
+ * Without levels the characters are evenly spaced; with levels each grayscale
+ * value picks the character whose density is closest.
+ * @param {string[]} charset - Ramp ordered from lightest to darkest.
+ * @param {number[]} [levels] - Density of each character (0-1, ascending).
+ * @returns {string[]} 256 characters, indexed by grayscale value.
+ */
+export const buildCharLookup = (charset, levels) => {
+    const lookup = new Array(256);
+    let index = 0;
+    for (let grayscale = 0; grayscale < 256; grayscale++) {
+        if (!levels) {
+            lookup[grayscale] = grayscaleToChar(grayscale, charset);
+            continue;
+        }
+        // Levels are ascending, so the closest one only ever moves forward
+        const target = grayscale / 255;
+        while (index < levels.length - 1
+            && Math.abs(levels[index + 1] - target) <= Math.abs(levels[index] - target)) {
+            index++;
+        }
+        lookup[grayscale] = charset[index];
+    }
+    return lookup;
+};
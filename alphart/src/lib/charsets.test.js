@@ -0,0 +1,51 @@
+import {
+  parseCharset,
+  calibrateRamp,
+  buildCharLookup,
+  grayscaleToChar,
+  CHARSET_PRESETS,
+  REVERSED_ALL_ASCII_CHARS,
+} from './charsets.js';
+
+test('maps the ends of the grayscale range to the ends of the ramp', () => {
+  expect(grayscaleToChar(0, REVERSED_ALL_ASCII_CHARS)).toBe(' ');
+  expect(grayscaleToChar(255, REVERSED_ALL_ASCII_CHARS)).toBe('@');
+});
+
+test('presets go from a blank to a dense character', () => {
+  Object.values(CHARSET_PRESETS).forEach(({ chars }) => {
+    expect(chars[0]).toBe(' ');
+    expect(chars.length).toBeGreaterThan(2);
+  });
+  expect(CHARSET_PRESETS.standard.chars).toHaveLength(70);
+});
+
+test('parses unique characters including astral code points', () => {
+  expect(parseCharset('aab\n𝄞⠿')).toEqual(['a', 'b', '𝄞', '⠿']);
+});
+
+test('sorts and normalizes a ramp by coverage', () => {
+  expect(calibrateRamp(['#', ' ', '.'], [0.5, 0, 0.1])).toEqual({
+    chars: [' ', '.', '#'],
+    levels: [0, 0.2, 1],
+  });
+});
+
+test('spaces the ramp evenly when coverages are equal', () => {
+  expect(calibrateRamp(['a', 'b', 'c'], [0.3, 0.3, 0.3]).levels).toEqual([0, 0.5, 1]);
+});
+
+test('lookup without levels matches even spacing', () => {
+  const lookup = buildCharLookup(REVERSED_ALL_ASCII_CHARS);
+  expect(lookup).toHaveLength(256);
+  expect(lookup[128]).toBe(grayscaleToChar(128, REVERSED_ALL_ASCII_CHARS));
+});
+
+test('lookup with levels picks the character of closest density', () => {
+  const lookup = buildCharLookup([' ', '.', '#'], [0, 0.2, 1]);
+  expect(lookup[0]).toBe(' ');
+  expect(lookup[51]).toBe('.');
+  expect(lookup[140]).toBe('.');
+  expect(lookup[160]).toBe('#');
+  expect(lookup[255]).toBe('#');
+});
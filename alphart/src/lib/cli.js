@@ -0,0 +1,145 @@
+// Command-line conversion: flag parsing and the conversion of a PNG or JPEG file, without a browser.
+// The bin/alphart.mjs entry point only adds the file and terminal I/O.
+import { parseArgs } from 'util';
+import {
+    renderAsciiGrid, getOutputSize, DEFAULT_OPTIONS, RENDER_MODES, HEIGHT_MODE_MAX_WIDTH,
+} from './asciiRenderer.js';
+import { EXPORT_FORMATS } from './exporters.js';
+import { CHARSET_PRESETS, DEFAULT_CHARSET, parseCharset } from './charsets.js';
+import { MAX_SAMPLES_PER_CHAR } from './imageLoader.js';
+import { downscaleImageData } from './resample.js';
+import { decodeImageFile } from './imageFile.js';
+
+// Output formats accepted by --format, mapped to EXPORT_FORMATS keys
+export const CLI_FORMATS = {
+    txt: 'txt',
+    html: 'html',
+    ansi: 'ans',
+    ans: 'ans',
+    svg: 'svg',
+};
+
+export const CLI_USAGE = `Usage: alphart <image> [options]
+
+Converts a PNG or JPEG image to ASCII art, written to stdout or a file.
+JPEGs are turned upright by their EXIF orientation.
+
+Options:
+  -w, --width <n>       Width in characters (default ${DEFAULT_OPTIONS.width})
+      --height <n>      Height in lines, in place of --width; the width then follows from the image,
+                        up to ${HEIGHT_MODE_MAX_WIDTH} characters as in the web app
+  -c, --charset <set>   Ramp preset (${Object.keys(CHARSET_PRESETS).join(', ')}),
+                        or the characters of a custom ramp, sparsest first (default ${DEFAULT_CHARSET});
+                        custom ramps are evenly spaced, unlike the web app, which measures each glyph
+  -i, --invert          Invert the brightness, for dark text on a light background
+  -m, --mode <mode>     ${Object.keys(RENDER_MODES).join(', ')} (default ${DEFAULT_OPTIONS.mode})
+  -f, --format <fmt>    ${Object.keys(CLI_FORMATS).filter((format) => format !== 'ans').join(', ')} (default txt)
+      --color           Keep the image colors in html, ansi and svg output
+  -o, --output <file>   Write to a file instead of stdout
+  -h, --help            Show this help
+`;
+
+/**
+ * Reads a whole number of at least 1 from a flag.
+ */
+const parseCount = (value, flag) => {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`${flag} must be a whole number of at least 1, got "${value}".`);
+    }
+    return count;
+};
+
+/**
+ * Turns the --charset flag into a ramp: a preset id, or the characters themselves.
+ */
+const parseRamp = (value) => {
+    if (CHARSET_PRESETS[value]) {
+        return CHARSET_PRESETS[value].chars;
+    }
+    const chars = parseCharset(value);
+    if (chars.length < 2) {
+        throw new Error(`--charset must be a preset (${Object.keys(CHARSET_PRESETS).join(', ')}) `
+            + 'or at least two different characters.');
+    }
+    return chars;
+};
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args - The arguments, without the node and script paths.
+ * @returns {{help: boolean, input: string, output: string|null, format: string, color: boolean, options: Object}}
+ *     The input file, where to write, the EXPORT_FORMATS key, and the conversion options (see DEFAULT_OPTIONS).
+ * @throws {Error} When a flag is unknown or has an invalid value, or the input file is missing.
+ */
+export const parseCliArgs = (args) => {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            width: { type: 'string', short: 'w' },
+            height: { type: 'string' },
+            charset: { type: 'string', short: 'c' },
+            invert: { type: 'boolean', short: 'i' },
+            mode: { type: 'string', short: 'm' },
+            format: { type: 'string', short: 'f' },
+            color: { type: 'boolean' },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length !== 1) {
+        throw new Error(positionals.length ? 'Please give a single image file.' : 'Please give an image file.');
+    }
+    const format = CLI_FORMATS[values.format || 'txt'];
+    if (!format) {
+        throw new Error(`Unknown format "${values.format}".`);
+    }
+    const mode = values.mode || DEFAULT_OPTIONS.mode;
+    if (!RENDER_MODES[mode]) {
+        throw new Error(`Unknown mode "${values.mode}".`);
+    }
+
+    // Sizing by height works like the web app's height mode, which bounds the width
+    const width = values.width ? parseCount(values.width, '--width') : DEFAULT_OPTIONS.width;
+    const size = values.height
+        ? { width: HEIGHT_MODE_MAX_WIDTH, height: parseCount(values.height, '--height'), fit: true }
+        : { width, height: null };
+
+    return {
+        help: false,
+        input: positionals[0],
+        output: values.output || null,
+        format,
+        color: Boolean(values.color),
+        options: {
+            ...size,
+            charset: parseRamp(values.charset || DEFAULT_CHARSET),
+            invert: Boolean(values.invert),
+            mode,
+            color: Boolean(values.color),
+        },
+    };
+};
+
+/**
+ * Converts a PNG or JPEG file the same way the web app converts an upload.
+ * @param {Uint8Array} bytes - The file contents.
+ * @param {Object} [options] - Conversion options, see DEFAULT_OPTIONS.
+ * @param {Object} [exportOptions]
+ * @param {string} [exportOptions.format] - One of the EXPORT_FORMATS keys.
+ * @param {boolean} [exportOptions.color] - Keep the cell colors in formats that support them.
+ * @returns {string} The converted art in the chosen format.
+ */
+export const convertImageFile = (bytes, options = {}, { format = 'txt', color = false } = {}) => {
+    const image = decodeImageFile(bytes);
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    // Like the web app, read no more pixels than the characters can show
+    const { width } = getOutputSize(image.width, image.height, settings);
+    const grid = renderAsciiGrid(downscaleImageData(image, width * MAX_SAMPLES_PER_CHAR), options);
+    return EXPORT_FORMATS[format].render(grid, { color, charAspectRatio: settings.charAspectRatio });
+};
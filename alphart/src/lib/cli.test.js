@@ -0,0 +1,79 @@
+import { PNG } from 'pngjs';
+import { parseCliArgs, convertImageFile } from './cli.js';
+import { gridToText, HEIGHT_MODE_MAX_WIDTH } from './asciiRenderer.js';
+import { CHARSET_PRESETS } from './charsets.js';
+import { decodeImageFile } from './imageFile.js';
+import { createConverter } from './converter.js';
+import { readImagePixels } from './imageLoader.js';
+
+// Jest can't load the worker module; without a worker, the web app converts on the main thread
+jest.mock('./createConversionWorker.js', () => () => null);
+
+// Node has no canvas, so the web app's pixel reads are stubbed in each test
+jest.mock('./imageLoader.js', () => ({
+  ...jest.requireActual('./imageLoader.js'),
+  readImagePixels: jest.fn(),
+}));
+
+// Encodes a gray PNG, the value of each pixel given by shade(x, y)
+const encodePng = (width, height, shade) => {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    const value = shade(i % width, Math.floor(i / width));
+    png.data.set([value, value, value, 255], i * 4);
+  }
+  return new Uint8Array(PNG.sync.write(png));
+};
+
+// 8x4 PNG fading from black on the left to white on the right
+const gradientPng = () => encodePng(8, 4, (x) => Math.round((x / 7) * 255));
+
+test('parses the flags into conversion options', () => {
+  const args = parseCliArgs(['in.png', '--width', '40', '--invert', '--charset', 'blocks', '-f', 'ansi', '-o', 'out.ans']);
+  expect(args).toMatchObject({ input: 'in.png', output: 'out.ans', format: 'ans', color: false });
+  expect(args.options).toMatchObject({ width: 40, height: null, invert: true, charset: CHARSET_PRESETS.blocks.chars });
+  expect(parseCliArgs(['in.png', '-c', ' .#']).options.charset).toEqual([' ', '.', '#']);
+  expect(parseCliArgs(['-h']).help).toBe(true);
+});
+
+test('rejects invalid flags', () => {
+  expect(() => parseCliArgs([])).toThrow('image file');
+  expect(() => parseCliArgs(['in.png', '--width', 'wide'])).toThrow('--width');
+  expect(() => parseCliArgs(['in.png', '--format', 'pdf'])).toThrow('Unknown format');
+  expect(() => parseCliArgs(['in.png', '--charset', 'x'])).toThrow('--charset');
+  expect(() => parseCliArgs(['in.png', '--bogus'])).toThrow();
+});
+
+// Converts a file the way the web app does without a worker, from the pixels of the whole image
+const convertInWebApp = async (bytes, options) => {
+  const image = decodeImageFile(bytes);
+  readImagePixels.mockReturnValue(image);
+  const converter = createConverter(null);
+  converter.setImage(image);
+  return gridToText(await converter.convert(options));
+};
+
+test('converts exactly like the web app, downscaling wide images the same way', async () => {
+  // Stripes finer than a character cell average out differently once downscaled
+  const bytes = encodePng(64, 64, (x) => (x % 5 < 2 ? 255 : 0));
+  const options = parseCliArgs(['in.png', '--width', '6', '--charset', 'blocks']).options;
+
+  const expected = await convertInWebApp(bytes, options);
+  expect(readImagePixels).toHaveBeenCalledWith(expect.anything(), null); // Read at full size, then downscaled
+  expect(convertImageFile(bytes, options)).toBe(expected);
+});
+
+test('sizes by height like the web app, keeping wide images to its widest output', async () => {
+  const bytes = encodePng(1000, 20, (x) => (x % 7 < 3 ? 255 : 0));
+  const options = parseCliArgs(['in.png', '--height', '10']).options;
+  expect(options).toMatchObject({ width: HEIGHT_MODE_MAX_WIDTH, height: 10, fit: true });
+
+  const expected = await convertInWebApp(bytes, options);
+  expect(expected.split('\n')[0]).toHaveLength(HEIGHT_MODE_MAX_WIDTH);
+  expect(convertImageFile(bytes, options)).toBe(expected);
+});
+
+test('writes the chosen export format', () => {
+  expect(convertImageFile(gradientPng(), { width: 8 }, { format: 'html' })).toContain('<pre');
+  expect(convertImageFile(gradientPng(), { width: 8 }, { format: 'ans', color: true })).toContain('\x1b[38;2;');
+});
@@ -0,0 +1,20 @@
+// Color helpers shared by the renderers.
+
+/**
+ * Converts an RGB color to grayscale using the luminance method
+ * (more accurate than a simple average).
+ * Luminance: 0.2126*R + 0.7152*G + 0.0722*B
+ * @param {number} r - Red channel (0-255).
+ * @param {number} g - Green channel (0-255).
+ * @param {number} b - Blue channel (0-255).
+ * @returns {number} Grayscale value (0-255).
+ */
+export const luminance = (r, g, b) => Math.floor(0.2126 * r + 0.7152 * g + 0.0722 * b);
+
+/**
+ * Averages a list of [r, g, b] colors.
+ * @param {number[][]} colors - The colors to average.
+ * @returns {number[]} The rounded average [r, g, b] color.
+ */
+export const averageColor = (colors) => [0, 1, 2].map((c) =>
+    Math.round(colors.reduce((sum, color) => sum + color[c], 0) / colors.length));
@@ -0,0 +1,12 @@
+import { luminance, averageColor } from './color.js';
+
+test('luminance weights green the most', () => {
+  expect(luminance(0, 0, 0)).toBe(0);
+  expect(luminance(255, 255, 255)).toBeGreaterThanOrEqual(254);
+  expect(luminance(0, 255, 0)).toBeGreaterThan(luminance(255, 0, 0));
+  expect(luminance(255, 0, 0)).toBeGreaterThan(luminance(0, 0, 255));
+});
+
+test('averages colors channel by channel', () => {
+  expect(averageColor([[255, 0, 10], [0, 0, 11]])).toEqual([128, 0, 11]);
+});
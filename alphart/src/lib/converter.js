@@ -0,0 +1,194 @@
+// Runs conversions in a Web Worker, falling back to the main thread where workers are unavailable.
+// The decoded image (or animation) is kept between conversions, and starting a new conversion cancels the one in progress.
+import createConversionWorker from './createConversionWorker.js';
+import { renderAsciiGrid, getOutputSize, DEFAULT_OPTIONS } from './asciiRenderer.js';
+import { renderFrames } from './animation.js';
+import { readImagePixels, MAX_SAMPLES_PER_CHAR } from './imageLoader.js';
+import { downscaleImageData } from './resample.js';
+import { sourceWidthFor, transformedSize } from './transform.js';
+
+/**
+ * Builds the error a cancelled conversion rejects with. Like an aborted fetch, its name is 'AbortError'.
+ * @returns {Error} The error.
+ */
+const cancelledError = () => {
+    const error = new Error('Conversion cancelled.');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Creates a converter.
+ * @param {HTMLCanvasElement} fallbackCanvas - Canvas used when converting on the main thread.
+ * @returns {{setImage: Function, setFrames: Function, convert: Function, convertFrames: Function,
+ *     cancel: Function, dispose: Function}} The converter.
+ */
+export const createConverter = (fallbackCanvas) => {
+    let worker = null;
+    let workerVersion = null; // Version of the source the worker holds
+    let image = null; // The decoded image
+    let frames = null; // The frames of an animation, used instead of an image
+    let version = 0; // Bumped on every new image or animation
+    let fallbackPixels = null; // { maxWidth, imageData } read on the main thread
+    let nextId = 0;
+    let pending = null; // { id, reject } of the conversion in progress
+
+    /**
+     * Stops the conversion in progress, if any. Its promise rejects with an AbortError.
+     */
+    const cancel = () => {
+        if (!pending) {
+            return;
+        }
+        // A busy worker can't read messages, so the only way to stop it is to terminate it
+        if (worker) {
+            worker.terminate();
+            worker = null;
+            workerVersion = null;
+        }
+        pending.reject(cancelledError());
+        pending = null;
+    };
+
+    /**
+     * Sets the image later conversions work on.
+     * @param {ImageBitmap|HTMLImageElement} decoded - The decoded image, see decodeImage.
+     */
+    const setImage = (decoded) => {
+        cancel();
+        image = decoded;
+        frames = null;
+        version++;
+        fallbackPixels = null;
+    };
+
+    /**
+     * Sets the animation later conversions work on, in place of an image.
+     * @param {import('./animation').AnimationFrame[]} animationFrames - The source frames.
+     */
+    const setFrames = (animationFrames) => {
+        cancel();
+        image = null;
+        frames = animationFrames;
+        version++;
+        fallbackPixels = null;
+    };
+
+    /**
+     * Runs a job in the worker, or on the main thread without one.
+     * @param {Object} job - The job message, without its id and version.
+     * @param {Function} renderOnMainThread - Renders the job on the main thread, given the progress callback.
+     * @param {Function} onProgress - Called with the finished fraction (0-1).
+     * @returns {Promise} Resolves with the job result.
+     */
+    const run = (job, renderOnMainThread, onProgress) => {
+        const id = ++nextId;
+
+        return new Promise((resolve, reject) => {
+            pending = { id, reject };
+            const settle = (callback) => (value) => {
+                if (pending && pending.id === id) {
+                    pending = null;
+                    callback(value);
+                }
+            };
+
+            if (!worker) {
+                worker = createConversionWorker();
+            }
+
+            if (!worker) {
+                Promise.resolve().then(() => renderOnMainThread(onProgress)).then(settle(resolve), settle(reject));
+                return;
+            }
+
+            worker.onmessage = ({ data }) => {
+                if (data.id !== id) {
+                    return;
+                }
+                if (data.type === 'progress') {
+                    onProgress(data.progress);
+                } else if (data.type === 'done') {
+                    settle(resolve)(data.result);
+                } else {
+                    settle(reject)(new Error(data.message));
+                }
+            };
+            worker.onerror = () => {
+                // The worker itself failed (e.g. it could not be loaded); start a fresh one next time
+                worker.terminate();
+                worker = null;
+                workerVersion = null;
+                settle(reject)(new Error('The conversion worker stopped unexpectedly.'));
+            };
+            // Send the source only when the worker doesn't have it yet
+            if (workerVersion !== version) {
+                worker.postMessage(image ? { type: 'image', version, image } : { type: 'frames', version, frames });
+                workerVersion = version;
+            }
+            worker.postMessage({ ...job, id, version });
+        });
+    };
+
+    /**
+     * Converts the current image to an ASCII grid.
+     * @param {Object} options - Conversion options for renderAsciiGrid (without callbacks).
+     * @param {Function} [onProgress] - Called with the finished fraction (0-1).
+     * @returns {Promise<import('./asciiRenderer').AsciiGrid>} The rendered grid.
+     */
+    const convert = (options, onProgress = () => {}) => {
+        cancel();
+        if (!image) {
+            return Promise.reject(new Error('No image to convert.'));
+        }
+        // Never read more pixels than the output can use, counting only the cropped region
+        const region = transformedSize(image.width, image.height, options.transform);
+        const { width: columns } = getOutputSize(region.width, region.height, { ...DEFAULT_OPTIONS, ...options });
+        const maxWidth = sourceWidthFor(
+            columns * MAX_SAMPLES_PER_CHAR,
+            options.transform,
+            image.width,
+            image.height
+        );
+
+        // Without a worker the pixels are read once per working size. Like in the worker, they are read at
+        // full size and downscaled without the canvas, the same way the command line does it
+        const renderOnMainThread = (reportProgress) => {
+            if (!fallbackPixels || fallbackPixels.maxWidth !== maxWidth) {
+                const imageData = downscaleImageData(readImagePixels(image, fallbackCanvas), maxWidth);
+                fallbackPixels = { maxWidth, imageData };
+            }
+            return renderAsciiGrid(fallbackPixels.imageData, { ...options, onProgress: reportProgress });
+        };
+        return run({ type: 'convert', options, maxWidth }, renderOnMainThread, onProgress);
+    };
+
+    /**
+     * Converts every frame of the current animation.
+     * @param {Object} options - Conversion options for renderAsciiGrid (without callbacks).
+     * @param {Function} [onProgress] - Called with the finished fraction (0-1) of the whole animation.
+     * @returns {Promise<import('./animation').AsciiFrame[]>} The converted frames.
+     */
+    const convertFrames = (options, onProgress = () => {}) => {
+        cancel();
+        if (!frames) {
+            return Promise.reject(new Error('No animation to convert.'));
+        }
+        const renderOnMainThread = (reportProgress) => renderFrames(frames, options, reportProgress);
+        return run({ type: 'convert-frames', options }, renderOnMainThread, onProgress);
+    };
+
+    /**
+     * Cancels any conversion and shuts the worker down.
+     */
+    const dispose = () => {
+        cancel();
+        if (worker) {
+            worker.terminate();
+            worker = null;
+            workerVersion = null;
+        }
+    };
+
+    return { setImage, setFrames, convert, convertFrames, cancel, dispose };
+};
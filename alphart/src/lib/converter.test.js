@@ -0,0 +1,126 @@
+import { createConverter } from './converter.js';
+import createConversionWorker from './createConversionWorker.js';
+
+jest.mock('./createConversionWorker.js', () => jest.fn());
+
+// Minimal stand-in for a Web Worker that records posted messages
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const grid = { width: 1, height: 1, rows: [[{ char: '@', color: [0, 0, 0] }]] };
+
+let workers;
+beforeEach(() => {
+  workers = [];
+  createConversionWorker.mockImplementation(() => {
+    const worker = new FakeWorker();
+    workers.push(worker);
+    return worker;
+  });
+});
+
+const image = { width: 100, height: 100 };
+
+// A converter that already holds an image
+const makeConverter = () => {
+  const converter = createConverter(null);
+  converter.setImage(image);
+  return converter;
+};
+
+test('posts the image once, then jobs with a downscaled working width', async () => {
+  const onProgress = jest.fn();
+  const converter = makeConverter();
+  const result = converter.convert({ width: 10 }, onProgress);
+
+  const [imageMessage, { id, maxWidth, version }] = workers[0].messages;
+  expect(imageMessage).toEqual({ type: 'image', version, image });
+  expect(maxWidth).toBe(80);
+  workers[0].reply({ id, type: 'progress', progress: 0.5 });
+  workers[0].reply({ id, type: 'done', result: grid });
+
+  await expect(result).resolves.toBe(grid);
+  expect(onProgress).toHaveBeenCalledWith(0.5);
+
+  // The worker keeps the image, so the next job is sent alone
+  converter.convert({ width: 20 });
+  expect(workers[0].messages[2]).toMatchObject({ type: 'convert', maxWidth: 160 });
+  expect(workers[0].messages).toHaveLength(3);
+});
+
+test('reads wider sources when only a crop is converted', () => {
+  const converter = makeConverter();
+  converter.convert({ width: 10, transform: { crop: { x: 0, y: 0, width: 0.25, height: 1 } } });
+  expect(workers[0].messages[1]).toMatchObject({ type: 'convert', maxWidth: 320 });
+});
+
+test('rejects when no image was set', async () => {
+  await expect(createConverter(null).convert({ width: 10 })).rejects.toThrow(/no image/i);
+});
+
+test('a new conversion cancels the running one', async () => {
+  const converter = makeConverter();
+  const first = converter.convert({ width: 10 });
+  const second = converter.convert({ width: 10 });
+
+  await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+  expect(workers[0].terminated).toBe(true);
+
+  // The fresh worker gets the image again
+  const [{ type }, { id }] = workers[1].messages;
+  expect(type).toBe('image');
+  workers[1].reply({ id, type: 'done', result: grid });
+  await expect(second).resolves.toBe(grid);
+});
+
+test('worker errors reject the conversion', async () => {
+  const converter = makeConverter();
+  const result = converter.convert({ width: 10 });
+  const [, { id }] = workers[0].messages;
+  workers[0].reply({ id, type: 'error', message: 'bad image' });
+  await expect(result).rejects.toThrow('bad image');
+});
+
+test('converts animations frame by frame', async () => {
+  const frames = [{ imageData: { width: 1, height: 1, data: new Uint8ClampedArray(4) }, delay: 100 }];
+  const converter = createConverter(null);
+  converter.setFrames(frames);
+  await expect(converter.convert({ width: 10 })).rejects.toThrow(/no image/i);
+
+  const result = converter.convertFrames({ width: 10 });
+  const [framesMessage, job] = workers[0].messages;
+  expect(framesMessage).toEqual({ type: 'frames', version: job.version, frames });
+  expect(job).toMatchObject({ type: 'convert-frames', options: { width: 10 } });
+  const converted = [{ grid, delay: 100 }];
+  workers[0].reply({ id: job.id, type: 'done', result: converted });
+  await expect(result).resolves.toBe(converted);
+});
+
+test('converts frames on the main thread without worker support', async () => {
+  createConversionWorker.mockImplementation(() => null);
+  const white = { width: 1, height: 1, data: new Uint8ClampedArray([255, 255, 255, 255]) };
+  const converter = createConverter(null);
+  converter.setFrames([{ imageData: white, delay: 50 }, { imageData: white, delay: 70 }]);
+
+  const onProgress = jest.fn();
+  const frames = await converter.convertFrames({ width: 2, charset: [' ', '#'] }, onProgress);
+  expect(frames.map(({ delay }) => delay)).toEqual([50, 70]);
+  expect(frames[0].grid.width).toBe(2);
+  expect(onProgress).toHaveBeenLastCalledWith(1);
+});
@@ -0,0 +1,15 @@
+// Kept in its own module so tests can replace it: bundlers understand
+// `new URL(..., import.meta.url)`, but Jest does not.
+
+/**
+ * Starts a conversion worker, or returns null where workers or OffscreenCanvas are unavailable.
+ * @returns {Worker|null} The worker.
+ */
+const createConversionWorker = () => {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+        return null;
+    }
+    return new Worker(new URL('../workers/conversion.worker.js', import.meta.url));
+};
+
+export default createConversionWorker;
@@ -0,0 +1,265 @@
+// Image description backends. Each provider turns an image and a prompt into a text description;
+// the endpoint, model, API key and prompt come from the user's settings.
+
+export const DEFAULT_PROMPT = 'Describe this image in detail. Focus on the main subjects, objects, colors, and overall scene. '
+    + 'Provide a concise and creative caption as well.';
+
+// Requests that take longer than this are abandoned
+export const DESCRIPTION_TIMEOUT = 60000;
+
+// How long the mock provider pretends to think
+const MOCK_DELAY = 300;
+
+// localStorage key of the saved settings
+const SETTINGS_KEY = 'alphart.descriptionSettings';
+
+/**
+ * Builds the error an aborted request rejects with. Like an aborted fetch, its name is 'AbortError'.
+ * @returns {Error} The error.
+ */
+const abortedError = () => {
+    const error = new Error('Description cancelled.');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Posts JSON and reads the JSON response, with a timeout and an optional abort signal.
+ * @param {string} url - The endpoint.
+ * @param {Object} body - The request body.
+ * @param {Object} headers - Extra request headers.
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request.
+ * @param {number} [options.timeout] - Milliseconds before the request is abandoned.
+ * @returns {Promise<Object>} The parsed response. HTTP errors reject with an Error carrying the `status`.
+ */
+const postJson = async (url, body, headers, { signal, timeout = DESCRIPTION_TIMEOUT }) => {
+    if (signal && signal.aborted) {
+        throw abortedError(); // An abort listener would never fire
+    }
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', onAbort);
+    }
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal,
+        });
+        if (!response.ok) {
+            // APIs usually explain the failure in the body: { error: { message } } or { error: '...' }
+            let detail = '';
+            try {
+                const { error } = await response.json();
+                detail = typeof error === 'string' ? error : (error && error.message) || '';
+            } catch (parseError) {
+                // No JSON body; the status has to do
+            }
+            const error = new Error(`Request failed with HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+            error.status = response.status;
+            throw error;
+        }
+        return await response.json();
+    } catch (error) {
+        if (timedOut) {
+            const timeoutError = new Error(`The request timed out after ${Math.round(timeout / 1000)} seconds.`);
+            timeoutError.name = 'TimeoutError';
+            throw timeoutError;
+        }
+        if (signal && signal.aborted) {
+            throw abortedError();
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+};
+
+/**
+ * Splits a data URL into its MIME type and base64 payload.
+ * @param {string} dataUrl - A base64 data URL.
+ * @returns {{mimeType: string, data: string}} The parts.
+ */
+const parseDataUrl = (dataUrl) => {
+    const [header, data] = dataUrl.split(',');
+    return { mimeType: header.split(';')[0].split(':')[1], data };
+};
+
+/**
+ * Describes an image with the Gemini generateContent API.
+ */
+const describeWithGemini = async ({ endpoint, model, apiKey, prompt }, imageDataUrl, options) => {
+    const { mimeType, data } = parseDataUrl(imageDataUrl);
+    const result = await postJson(
+        `${endpoint.replace(/\/$/, '')}/models/${model}:generateContent`,
+        { contents: [{ role: 'user', parts: [{ text: prompt }, { inlineData: { mimeType, data } }] }] },
+        apiKey ? { 'x-goog-api-key': apiKey } : {},
+        options
+    );
+
+    const parts = result.candidates && result.candidates[0] && result.candidates[0].content
+        && result.candidates[0].content.parts;
+    const text = parts && parts.map((part) => part.text || '').join('').trim();
+    if (!text) {
+        const reason = result.promptFeedback && result.promptFeedback.blockReason;
+        throw new Error(reason ? `The request was blocked (${reason}).` : 'The response did not contain a description.');
+    }
+    return text;
+};
+
+/**
+ * Describes an image with an OpenAI-compatible chat completions API (OpenAI, Ollama, llama.cpp and others).
+ */
+const describeWithOpenAi = async ({ endpoint, model, apiKey, prompt }, imageDataUrl, options) => {
+    const result = await postJson(
+        `${endpoint.replace(/\/$/, '')}/chat/completions`,
+        {
+            model,
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompt },
+                    { type: 'image_url', image_url: { url: imageDataUrl } },
+                ],
+            }],
+        },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        options
+    );
+
+    const message = result.choices && result.choices[0] && result.choices[0].message;
+    const text = message && typeof message.content === 'string' && message.content.trim();
+    if (!text) {
+        throw new Error('The response did not contain a description.');
+    }
+    return text;
+};
+
+/**
+ * Pretends to describe an image, without any network access. Used for tests and offline work.
+ */
+const describeWithMock = ({ prompt }, imageDataUrl, { signal } = {}) => new Promise((resolve, reject) => {
+    const { mimeType } = parseDataUrl(imageDataUrl);
+    if (signal && signal.aborted) {
+        reject(abortedError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortedError());
+    };
+    const timer = setTimeout(() => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        resolve(`A mock description of this ${mimeType} image. Prompt: "${prompt}"`);
+    }, MOCK_DELAY);
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+});
+
+// Available providers, with the endpoint and model each starts with
+export const DESCRIPTION_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash',
+        describe: describeWithGemini,
+    },
+    openai: {
+        label: 'OpenAI-compatible (OpenAI, Ollama, llama.cpp)',
+        endpoint: 'http://localhost:11434/v1',
+        model: 'llava',
+        describe: describeWithOpenAi,
+    },
+    mock: {
+        label: 'Mock (offline)',
+        endpoint: '',
+        model: '',
+        describe: describeWithMock,
+    },
+};
+
+export const DEFAULT_DESCRIPTION_SETTINGS = {
+    provider: 'gemini',
+    endpoint: DESCRIPTION_PROVIDERS.gemini.endpoint,
+    model: DESCRIPTION_PROVIDERS.gemini.model,
+    apiKey: '',
+    prompt: DEFAULT_PROMPT,
+};
+
+/**
+ * Switches the settings to another provider, resetting the endpoint and model to its defaults.
+ * @param {Object} settings - Current settings, see DEFAULT_DESCRIPTION_SETTINGS.
+ * @param {string} provider - One of the DESCRIPTION_PROVIDERS keys.
+ * @returns {Object} The updated settings.
+ */
+export const withProvider = (settings, provider) => ({
+    ...settings,
+    provider,
+    endpoint: DESCRIPTION_PROVIDERS[provider].endpoint,
+    model: DESCRIPTION_PROVIDERS[provider].model,
+});
+
+/**
+ * Describes an image with the configured provider.
+ * @param {Object} settings - See DEFAULT_DESCRIPTION_SETTINGS.
+ * @param {string} imageDataUrl - The image as a base64 data URL.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request; the promise then rejects with an AbortError.
+ * @param {number} [options.timeout] - Milliseconds before the request fails with a TimeoutError.
+ * @returns {Promise<string>} The description.
+ */
+export const describeImage = (settings, imageDataUrl, options = {}) => {
+    const provider = DESCRIPTION_PROVIDERS[settings.provider];
+    if (!provider) {
+        return Promise.reject(new Error(`Unknown description provider: ${settings.provider}`));
+    }
+    if (provider !== DESCRIPTION_PROVIDERS.mock && !settings.endpoint) {
+        return Promise.reject(new Error('Please enter the endpoint of the description service.'));
+    }
+    return provider.describe(settings, imageDataUrl, options);
+};
+
+/**
+ * Reads the saved settings, falling back to the defaults.
+ * @param {Storage} [storage] - Where the settings are kept.
+ * @returns {Object} The settings, see DEFAULT_DESCRIPTION_SETTINGS.
+ */
+export const loadDescriptionSettings = (storage = window.localStorage) => {
+    try {
+        const saved = JSON.parse(storage.getItem(SETTINGS_KEY));
+        if (saved && DESCRIPTION_PROVIDERS[saved.provider]) {
+            return { ...DEFAULT_DESCRIPTION_SETTINGS, ...saved };
+        }
+    } catch (error) {
+        // Unreadable or blocked storage; start from the defaults
+    }
+    return DEFAULT_DESCRIPTION_SETTINGS;
+};
+
+/**
+ * Saves the settings for later visits.
+ * @param {Object} settings - See DEFAULT_DESCRIPTION_SETTINGS.
+ * @param {Storage} [storage] - Where the settings are kept.
+ */
+export const saveDescriptionSettings = (settings, storage = window.localStorage) => {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Storage full or blocked; the settings still apply to this visit
+    }
+};
@@ -0,0 +1,117 @@
+import {
+  describeImage,
+  withProvider,
+  loadDescriptionSettings,
+  saveDescriptionSettings,
+  DEFAULT_DESCRIPTION_SETTINGS,
+} from './descriptionProviders.js';
+
+const IMAGE = 'data:image/png;base64,AAAA';
+
+// Responds to fetch with a JSON body
+const respond = (body, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.useRealTimers();
+});
+
+test('gemini sends the prompt and image and joins the reply', async () => {
+  fetch.mockReturnValue(respond({ candidates: [{ content: { parts: [{ text: 'A cat' }, { text: ' on a mat.' }] } }] }));
+  const settings = { ...DEFAULT_DESCRIPTION_SETTINGS, apiKey: 'key', prompt: 'Describe it' };
+
+  await expect(describeImage(settings, IMAGE)).resolves.toBe('A cat on a mat.');
+  const [url, { headers, body }] = fetch.mock.calls[0];
+  expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent');
+  expect(headers['x-goog-api-key']).toBe('key');
+  expect(JSON.parse(body).contents[0].parts).toEqual([
+    { text: 'Describe it' },
+    { inlineData: { mimeType: 'image/png', data: 'AAAA' } },
+  ]);
+});
+
+test('openai-compatible endpoints get a chat completion with the image url', async () => {
+  fetch.mockReturnValue(respond({ choices: [{ message: { content: ' A dog. ' } }] }));
+  const settings = { ...withProvider(DEFAULT_DESCRIPTION_SETTINGS, 'openai'), endpoint: 'http://localhost:8080/v1/' };
+
+  await expect(describeImage(settings, IMAGE)).resolves.toBe('A dog.');
+  const [url, { headers, body }] = fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:8080/v1/chat/completions');
+  expect(headers.Authorization).toBeUndefined();
+  const { model, messages } = JSON.parse(body);
+  expect(model).toBe('llava');
+  expect(messages[0].content[1]).toEqual({ type: 'image_url', image_url: { url: IMAGE } });
+});
+
+test('reports the HTTP status and the error message from the body', async () => {
+  fetch.mockReturnValue(respond({ error: { message: 'API key not valid' } }, 400));
+  await expect(describeImage(DEFAULT_DESCRIPTION_SETTINGS, IMAGE))
+    .rejects.toMatchObject({ status: 400, message: 'Request failed with HTTP 400: API key not valid' });
+});
+
+test('reports responses without a description', async () => {
+  fetch.mockReturnValue(respond({ candidates: [], promptFeedback: { blockReason: 'SAFETY' } }));
+  await expect(describeImage(DEFAULT_DESCRIPTION_SETTINGS, IMAGE)).rejects.toThrow('blocked (SAFETY)');
+});
+
+// A fetch that only settles when its request is aborted
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+test('times out slow requests', async () => {
+  jest.useFakeTimers();
+  fetch.mockImplementation(hangingFetch);
+  const result = describeImage(DEFAULT_DESCRIPTION_SETTINGS, IMAGE, { timeout: 5000 });
+  jest.advanceTimersByTime(5000);
+  await expect(result).rejects.toMatchObject({ name: 'TimeoutError', message: 'The request timed out after 5 seconds.' });
+});
+
+test('aborts requests', async () => {
+  fetch.mockImplementation(hangingFetch);
+  const controller = new AbortController();
+  const result = describeImage(DEFAULT_DESCRIPTION_SETTINGS, IMAGE, { signal: controller.signal });
+  controller.abort();
+  await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('rejects at once when the signal is already aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await expect(describeImage(DEFAULT_DESCRIPTION_SETTINGS, IMAGE, { signal: controller.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+  await expect(describeImage(withProvider(DEFAULT_DESCRIPTION_SETTINGS, 'mock'), IMAGE, { signal: controller.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+test('the mock provider lets go of the signal once it answers', async () => {
+  const { signal } = new AbortController();
+  const removeListener = jest.spyOn(signal, 'removeEventListener');
+  await describeImage(withProvider(DEFAULT_DESCRIPTION_SETTINGS, 'mock'), IMAGE, { signal });
+  expect(removeListener).toHaveBeenCalledWith('abort', expect.any(Function));
+});
+
+test('the mock provider answers without the network', async () => {
+  const settings = withProvider(DEFAULT_DESCRIPTION_SETTINGS, 'mock');
+  await expect(describeImage(settings, IMAGE)).resolves.toMatch(/mock description of this image\/png image/);
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+test('saves and loads settings, ignoring unreadable ones', () => {
+  const settings = { ...withProvider(DEFAULT_DESCRIPTION_SETTINGS, 'openai'), apiKey: 'secret' };
+  saveDescriptionSettings(settings);
+  expect(loadDescriptionSettings()).toEqual(settings);
+
+  localStorage.setItem('alphart.descriptionSettings', '{not json');
+  expect(loadDescriptionSettings()).toEqual(DEFAULT_DESCRIPTION_SETTINGS);
+  localStorage.clear();
+});
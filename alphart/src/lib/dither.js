@@ -0,0 +1,113 @@
+// Dithering across a character ramp.
+// The ramp's characters are treated as quantization levels; error diffusion spreads the
+// difference between each cell's grayscale value and its character's level to the
+// neighbouring cells, and ordered dithering offsets each cell with a Bayer matrix.
+
+// Available dithering modes
+export const DITHER_MODES = {
+    none: 'None',
+    'floyd-steinberg': 'Floyd–Steinberg',
+    atkinson: 'Atkinson',
+    ordered: 'Ordered (Bayer 4×4)',
+};
+
+// Error diffusion kernels as [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16],
+        [0, 1, 5 / 16],
+        [1, 1, 1 / 16],
+    ],
+    // Atkinson only diffuses 6/8 of the error, which keeps highlights and shadows crisp
+    atkinson: [
+        [1, 0, 1 / 8],
+        [2, 0, 1 / 8],
+        [-1, 1, 1 / 8],
+        [0, 1, 1 / 8],
+        [1, 1, 1 / 8],
+        [0, 2, 1 / 8],
+    ],
+};
+
+// 4×4 Bayer threshold matrix
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+];
+
+/**
+ * Finds the level closest to a value.
+ * @param {number} value - Grayscale value (0-255).
+ * @param {number[]} levels - Quantization levels (0-255, ascending).
+ * @returns {number} Index of the closest level.
+ */
+export const nearestLevel = (value, levels) => {
+    let low = 0;
+    let high = levels.length - 1;
+    // Binary search for the first level above the value, then compare with its neighbour
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (levels[mid] < value) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    if (low > 0 && value - levels[low - 1] <= levels[low] - value) {
+        return low - 1;
+    }
+    return low;
+};
+
+/**
+ * Quantizes a grid of grayscale values to ramp indices with the given dithering mode.
+ * @param {Float32Array|number[]} values - Grayscale values (0-255), row by row.
+ * @param {number} width - Grid width.
+ * @param {number} height - Grid height.
+ * @param {number[]} levels - Grayscale level of each ramp character (0-255, ascending).
+ * @param {string} mode - One of the DITHER_MODES keys other than 'none'.
+ * @returns {Uint16Array} The ramp index of each cell, row by row.
+ */
+export const ditherToIndices = (values, width, height, levels, mode) => {
+    const indices = new Uint16Array(width * height);
+
+    if (mode === 'ordered') {
+        // Offset each cell by up to half a level step, following the Bayer pattern
+        const step = 255 / Math.max(1, levels.length - 1);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = ((BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5) * step;
+                indices[y * width + x] = nearestLevel(values[y * width + x] + offset, levels);
+            }
+        }
+        return indices;
+    }
+
+    const kernel = DIFFUSION_KERNELS[mode];
+    if (!kernel) {
+        throw new Error(`Unknown dithering mode: ${mode}`);
+    }
+
+    // Work on a copy so the error can accumulate without touching the input
+    const buffer = Float32Array.from(values);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const index = nearestLevel(buffer[i], levels);
+            const error = buffer[i] - levels[index];
+            indices[i] = index;
+
+            kernel.forEach(([dx, dy, weight]) => {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < width && ny < height) {
+                    buffer[ny * width + nx] += error * weight;
+                }
+            });
+        }
+    }
+    return indices;
+};
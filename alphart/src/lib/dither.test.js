@@ -0,0 +1,39 @@
+import { ditherToIndices, nearestLevel } from './dither.js';
+
+const twoLevels = [0, 255];
+
+test('finds the closest level', () => {
+  expect(nearestLevel(0, [0, 85, 170, 255])).toBe(0);
+  expect(nearestLevel(120, [0, 85, 170, 255])).toBe(1);
+  expect(nearestLevel(140, [0, 85, 170, 255])).toBe(2);
+  expect(nearestLevel(300, [0, 85, 170, 255])).toBe(3);
+  expect(nearestLevel(-20, [0, 85, 170, 255])).toBe(0);
+});
+
+test('error diffusion keeps the average tone of a flat area', () => {
+  const values = new Float32Array(16 * 16).fill(64);
+  const indices = ditherToIndices(values, 16, 16, twoLevels, 'floyd-steinberg');
+  const lit = indices.reduce((sum, i) => sum + i, 0);
+  // A quarter gray should light roughly a quarter of the cells
+  expect(lit / indices.length).toBeCloseTo(0.25, 1);
+});
+
+test('atkinson leaves near-black areas empty', () => {
+  const values = new Float32Array(8 * 8).fill(20);
+  expect(ditherToIndices(values, 8, 8, twoLevels, 'atkinson').every((i) => i === 0)).toBe(true);
+});
+
+test('ordered dithering follows the Bayer pattern', () => {
+  const values = new Float32Array(4 * 4).fill(128);
+  const indices = ditherToIndices(values, 4, 4, twoLevels, 'ordered');
+  expect(indices.reduce((sum, i) => sum + i, 0)).toBe(8);
+});
+
+test('exact levels are left alone', () => {
+  const values = [0, 85, 170, 255];
+  expect(Array.from(ditherToIndices(values, 4, 1, [0, 85, 170, 255], 'floyd-steinberg'))).toEqual([0, 1, 2, 3]);
+});
+
+test('rejects unknown modes', () => {
+  expect(() => ditherToIndices([0], 1, 1, twoLevels, 'random')).toThrow(/unknown dithering mode/i);
+});
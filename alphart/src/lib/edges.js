@@ -0,0 +1,81 @@
+// Edge-aware rendering: finds outlines with a Sobel operator and picks characters
+// that follow their orientation.
+import { sampleCell } from './resample.js';
+import { luminance } from './color.js';
+
+// The edge detector runs on a grid this many times finer than the character grid
+const EDGE_SUPERSAMPLE = 4;
+
+/**
+ * Picks the character that follows an edge, from the Sobel gradient at that point.
+ * The edge runs perpendicular to the gradient (screen coordinates, y pointing down).
+ * @param {number} gx - Horizontal gradient.
+ * @param {number} gy - Vertical gradient.
+ * @param {boolean} [lowerHalf] - Whether the edge sits in the lower half of the cell.
+ * @returns {string} One of | / - \ _
+ */
+export const edgeChar = (gx, gy, lowerHalf = false) => {
+    // Gradient angle folded into [0, 180): opposite gradients give the same edge
+    const angle = ((Math.atan2(gy, gx) * 180) / Math.PI + 180) % 180;
+    if (angle < 22.5 || angle >= 157.5) {
+        return '|';
+    }
+    if (angle < 67.5) {
+        return '/';
+    }
+    if (angle < 112.5) {
+        return lowerHalf ? '_' : '-';
+    }
+    return '\\';
+};
+
+/**
+ * Runs a Sobel edge detector over the image and finds the strongest edge in every character cell.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {number} cols - Number of character columns.
+ * @param {number} rows - Number of character rows.
+ * @param {number} threshold - Minimum edge strength (0-255) for a cell to count as an edge.
+ * @returns {Array<string|null>} The edge character of each cell, or null where there is no edge.
+ */
+export const detectCellEdges = (imageData, cols, rows, threshold) => {
+    const gridWidth = cols * EDGE_SUPERSAMPLE;
+    const gridHeight = rows * EDGE_SUPERSAMPLE;
+
+    // Grayscale working grid, box-sampled from the source pixels
+    const gray = new Float32Array(gridWidth * gridHeight);
+    for (let y = 0; y < gridHeight; y++) {
+        for (let x = 0; x < gridWidth; x++) {
+            gray[y * gridWidth + x] = luminance(...sampleCell(imageData, x, y, gridWidth, gridHeight, 'box'));
+        }
+    }
+    // Clamp reads to the grid so borders don't show up as edges
+    const at = (x, y) => gray[
+        Math.min(gridHeight - 1, Math.max(0, y)) * gridWidth + Math.min(gridWidth - 1, Math.max(0, x))
+    ];
+
+    const edges = new Array(cols * rows).fill(null);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let best = { magnitude: 0 };
+            for (let sy = 0; sy < EDGE_SUPERSAMPLE; sy++) {
+                for (let sx = 0; sx < EDGE_SUPERSAMPLE; sx++) {
+                    const x = col * EDGE_SUPERSAMPLE + sx;
+                    const y = row * EDGE_SUPERSAMPLE + sy;
+                    const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1))
+                        - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+                    const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1))
+                        - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+                    // A full black-to-white step gives 4 * 255, so scale back to 0-255
+                    const magnitude = Math.hypot(gx, gy) / 4;
+                    if (magnitude > best.magnitude) {
+                        best = { magnitude, gx, gy, sy };
+                    }
+                }
+            }
+            if (best.magnitude > 0 && best.magnitude >= threshold) {
+                edges[row * cols + col] = edgeChar(best.gx, best.gy, best.sy >= EDGE_SUPERSAMPLE / 2);
+            }
+        }
+    }
+    return edges;
+};
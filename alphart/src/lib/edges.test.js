@@ -0,0 +1,34 @@
+import { edgeChar, detectCellEdges } from './edges.js';
+
+// Builds an image where fill(x, y) tells whether a pixel is white
+const makeMask = (width, height, fill) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = fill(x, y) ? 255 : 0;
+      data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+test('picks characters perpendicular to the gradient', () => {
+  expect(edgeChar(1, 0)).toBe('|');
+  expect(edgeChar(-1, 0)).toBe('|');
+  expect(edgeChar(0, 1)).toBe('-');
+  expect(edgeChar(0, -1, true)).toBe('_');
+  // Brighter towards the lower right: the edge climbs from lower left to upper right
+  expect(edgeChar(1, 1)).toBe('/');
+  expect(edgeChar(1, -1)).toBe('\\');
+});
+
+test('finds a vertical outline between two halves', () => {
+  const image = makeMask(40, 10, (x) => x >= 20);
+  const edges = detectCellEdges(image, 4, 1, 64);
+  expect(edges).toEqual([null, '|', '|', null]);
+});
+
+test('flat images have no edges, whatever the threshold', () => {
+  const image = makeMask(8, 8, () => true);
+  expect(detectCellEdges(image, 2, 2, 0).every((edge) => edge === null)).toBe(true);
+});
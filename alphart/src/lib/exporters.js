@@ -0,0 +1,191 @@
+// Export formats for rendered ASCII grids.
+// Each exporter turns an AsciiGrid (see asciiRenderer.js) into the contents of a downloadable file.
+import { gridToText } from './asciiRenderer.js';
+import { lineHeightFor } from './fontMetrics.js';
+
+// Colors used when color output is off; they match the preview panel
+export const DEFAULT_FOREGROUND = '#a3e635';
+export const DEFAULT_BACKGROUND = '#111827';
+
+const DEFAULT_EXPORT_OPTIONS = {
+    color: false, // Use each cell's own color instead of the foreground color
+    foreground: DEFAULT_FOREGROUND,
+    background: DEFAULT_BACKGROUND,
+    fontSize: 12, // SVG font size in pixels
+    charAspectRatio: null, // HTML and SVG cell width / cell height, to match the art's sizing; null packs lines at 1em
+};
+
+// Advance width of the generic monospace font, as a multiple of the font size
+const MONOSPACE_ADVANCE = 0.6;
+
+/**
+ * Calculates the CSS line height that gives HTML exports the character aspect ratio the art was sized for.
+ * @param {number|null} charAspectRatio - Cell width / cell height, or null to pack lines at 1em.
+ * @returns {number} Line height as a multiple of the font size.
+ */
+export const htmlLineHeight = (charAspectRatio) =>
+    (charAspectRatio ? Number(lineHeightFor(MONOSPACE_ADVANCE, charAspectRatio).toFixed(3)) : 1);
+
+/**
+ * Converts an [r, g, b] color to a CSS hex string.
+ * @param {number[]} color - The [r, g, b] color.
+ * @returns {string} The color as #rrggbb.
+ */
+export const toHex = ([r, g, b]) =>
+    '#' + [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Converts a CSS hex color (#rgb or #rrggbb) to an [r, g, b] color.
+ * @param {string} hex - The hex color.
+ * @returns {number[]} The [r, g, b] color.
+ */
+export const fromHex = (hex) => {
+    let digits = hex.replace('#', '');
+    if (digits.length === 3) {
+        digits = digits.split('').map((d) => d + d).join('');
+    }
+    return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+};
+
+/**
+ * Escapes the characters that are special in HTML and XML text.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+export const escapeXml = (text) =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Groups consecutive cells of a row that share the same colors,
+ * so exports emit one colored span per run instead of one per character.
+ * @param {import('./asciiRenderer').AsciiCell[]} row - A row of cells.
+ * @returns {{text: string, color: string, background: (string|undefined), start: number}[]}
+ *     The runs, with hex colors and the column they start at.
+ */
+export const groupColorRuns = (row) => {
+    const runs = [];
+    row.forEach((cell, x) => {
+        const color = toHex(cell.color);
+        const background = cell.background && toHex(cell.background);
+        const last = runs[runs.length - 1];
+        if (last && last.color === color && last.background === background) {
+            last.text += cell.char;
+        } else {
+            runs.push({ text: cell.char, color, background, start: x });
+        }
+    });
+    return runs;
+};
+
+/**
+ * Renders the contents of a <pre> block for a grid, with a colored span per run in color mode.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {boolean} color - Whether to use the cell colors.
+ * @returns {string} The escaped HTML, without a trailing newline.
+ */
+export const gridToHtmlBody = (grid, color) => {
+    if (!color) {
+        return escapeXml(gridToText(grid).replace(/\n$/, ''));
+    }
+    return grid.rows.map((row) => groupColorRuns(row)
+        .map((run) => {
+            const style = `color:${run.color}` + (run.background ? `;background-color:${run.background}` : '');
+            return `<span style="${style}">${escapeXml(run.text)}</span>`;
+        })
+        .join('')).join('\n');
+};
+
+/**
+ * Exports a grid as a self-contained HTML page with colored spans.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {Object} [options] - Export options.
+ * @returns {string} The HTML document.
+ */
+export const gridToHtml = (grid, options = {}) => {
+    const { color, foreground, background, charAspectRatio } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const body = gridToHtmlBody(grid, color);
+    const lineHeight = htmlLineHeight(charAspectRatio);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>ASCII Art</title>
+<style>
+body { margin: 0; background: ${background}; }
+pre { margin: 0; padding: 16px; color: ${foreground}; font-family: monospace; font-size: 12px; line-height: ${lineHeight}; }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+};
+
+/**
+ * Exports a grid as text with ANSI 24-bit (truecolor) escape sequences for terminals.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {Object} [options] - Export options.
+ * @returns {string} The escaped text.
+ */
+export const gridToAnsi = (grid, options = {}) => {
+    const { color, foreground } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const setColor = ([r, g, b]) => `\x1b[38;2;${r};${g};${b}m`;
+    const setBackground = ([r, g, b]) => `\x1b[48;2;${r};${g};${b}m`;
+    const reset = '\x1b[0m';
+
+    return grid.rows.map((row) => {
+        if (!color) {
+            return setColor(fromHex(foreground)) + row.map((cell) => cell.char).join('') + reset + '\n';
+        }
+        return groupColorRuns(row).map((run) => setColor(fromHex(run.color))
+            + (run.background ? setBackground(fromHex(run.background)) : '')
+            + run.text).join('') + reset + '\n';
+    }).join('');
+};
+
+/**
+ * Exports a grid as an SVG image with one text line per row.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {Object} [options] - Export options.
+ * @returns {string} The SVG document.
+ */
+export const gridToSvg = (grid, options = {}) => {
+    const { color, foreground, background, fontSize, charAspectRatio } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const charWidth = fontSize * MONOSPACE_ADVANCE;
+    const lineHeight = charAspectRatio ? charWidth / charAspectRatio : fontSize;
+    const svgWidth = Math.ceil(grid.width * charWidth);
+    const svgHeight = Math.ceil(grid.height * lineHeight);
+
+    // Cell backgrounds are drawn as rectangles underneath the text
+    const backgrounds = color
+        ? grid.rows.flatMap((row, y) => groupColorRuns(row)
+            .filter((run) => run.background)
+            .map((run) => `<rect x="${run.start * charWidth}" y="${y * lineHeight}" width="${Array.from(run.text).length * charWidth}" height="${lineHeight}" fill="${run.background}"/>`))
+        : [];
+
+    const lines = grid.rows.map((row, y) => {
+        const content = color
+            ? groupColorRuns(row).map((run) => `<tspan fill="${run.color}">${escapeXml(run.text)}</tspan>`).join('')
+            : escapeXml(row.map((cell) => cell.char).join(''));
+        // Half of any spacing beyond the font size goes above the glyphs, like a browser's line height
+        return `<text x="0" y="${y * lineHeight + (lineHeight + fontSize) / 2}" textLength="${svgWidth}">${content}</text>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">
+<rect width="100%" height="100%" fill="${background}"/>
+${backgrounds.map((rect) => rect + '\n').join('')}<g font-family="monospace" font-size="${fontSize}" fill="${foreground}" xml:space="preserve">
+${lines.join('\n')}
+</g>
+</svg>
+`;
+};
+
+// Downloadable formats, keyed by file extension
+export const EXPORT_FORMATS = {
+    txt: { label: 'Plain text (.txt)', mimeType: 'text/plain', render: gridToText },
+    html: { label: 'HTML page (.html)', mimeType: 'text/html', render: gridToHtml },
+    ans: { label: 'ANSI truecolor (.ans)', mimeType: 'text/plain', render: gridToAnsi },
+    svg: { label: 'SVG image (.svg)', mimeType: 'image/svg+xml', render: gridToSvg },
+};
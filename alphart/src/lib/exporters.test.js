@@ -0,0 +1,77 @@
+import {
+  gridToHtml,
+  gridToAnsi,
+  gridToSvg,
+  groupColorRuns,
+  toHex,
+  fromHex,
+  EXPORT_FORMATS,
+} from './exporters.js';
+
+const red = [255, 0, 0];
+const blue = [0, 0, 255];
+
+// 3x2 grid: a red run followed by a blue cell, and a row with markup characters
+const grid = {
+  width: 3,
+  height: 2,
+  rows: [
+    [{ char: '#', color: red }, { char: '#', color: red }, { char: '@', color: blue }],
+    [{ char: '<', color: red }, { char: '&', color: red }, { char: ' ', color: red }],
+  ],
+};
+
+test('converts between hex and rgb colors', () => {
+  expect(toHex([255, 8, 0])).toBe('#ff0800');
+  expect(fromHex('#ff0800')).toEqual([255, 8, 0]);
+  expect(fromHex('#fff')).toEqual([255, 255, 255]);
+});
+
+test('groups consecutive cells of the same color', () => {
+  expect(groupColorRuns(grid.rows[0])).toEqual([
+    { text: '##', color: '#ff0000', background: undefined, start: 0 },
+    { text: '@', color: '#0000ff', background: undefined, start: 2 },
+  ]);
+});
+
+test('html export colors each run and escapes markup', () => {
+  const html = gridToHtml(grid, { color: true });
+  expect(html).toContain('<span style="color:#ff0000">##</span><span style="color:#0000ff">@</span>');
+  expect(html).toContain('&lt;&amp; ');
+});
+
+test('html export without color is a plain pre block', () => {
+  expect(gridToHtml(grid)).toContain('<pre>##@\n&lt;&amp; </pre>');
+});
+
+test('ansi export uses truecolor escapes and resets every line', () => {
+  const lines = gridToAnsi(grid, { color: true }).split('\n');
+  expect(lines[0]).toBe('\x1b[38;2;255;0;0m##\x1b[38;2;0;0;255m@\x1b[0m');
+  expect(lines).toHaveLength(3);
+});
+
+test('svg export emits one text line per row', () => {
+  const svg = gridToSvg(grid, { color: true, fontSize: 10 });
+  expect(svg).toContain('width="18" height="20"');
+  expect(svg).toContain('<text x="0" y="20" textLength="18"><tspan fill="#ff0000">&lt;&amp; </tspan></text>');
+});
+
+test('html and svg exports space lines to match the character aspect ratio', () => {
+  expect(gridToHtml(grid, { charAspectRatio: 0.4 })).toContain('line-height: 1.5;');
+  const svg = gridToSvg(grid, { charAspectRatio: 0.4, fontSize: 10 });
+  expect(svg).toContain('width="18" height="30"');
+  expect(svg).toContain('<text x="0" y="27.5" textLength="18">');
+});
+
+test('exports cell backgrounds', () => {
+  const blocks = { width: 2, height: 1, rows: [[{ char: '▀', color: red, background: blue }, { char: '▀', color: red, background: blue }]] };
+  expect(gridToHtml(blocks, { color: true })).toContain('<span style="color:#ff0000;background-color:#0000ff">▀▀</span>');
+  expect(gridToAnsi(blocks, { color: true })).toBe('\x1b[38;2;255;0;0m\x1b[48;2;0;0;255m▀▀\x1b[0m\n');
+  expect(gridToSvg(blocks, { color: true, fontSize: 10 })).toContain('<rect x="0" y="0" width="12" height="10" fill="#0000ff"/>');
+});
+
+test('every export format renders a string', () => {
+  Object.values(EXPORT_FORMATS).forEach(({ render }) => {
+    expect(typeof render(grid)).toBe('string');
+  });
+});
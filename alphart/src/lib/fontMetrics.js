@@ -0,0 +1,35 @@
+// Character cell metrics of the output fonts.
+// Sizing uses the character aspect ratio (cell width / cell height), and the preview derives its
+// line height from the same ratio, so the art shows undistorted.
+
+// Line height the presets assume, as a multiple of the font size; typical of terminals
+export const DEFAULT_LINE_HEIGHT = 1.2;
+
+// Range offered for the character aspect ratio
+export const MIN_CHAR_ASPECT_RATIO = 0.3;
+export const MAX_CHAR_ASPECT_RATIO = 1;
+
+// Common terminal fonts, with the advance width of their glyphs as a multiple of the font size
+export const FONT_PRESETS = {
+    menlo: { label: 'Menlo', fontFamily: 'Menlo', advance: 0.602 },
+    consolas: { label: 'Consolas', fontFamily: 'Consolas', advance: 0.55 },
+    courier: { label: 'Courier New', fontFamily: 'Courier New', advance: 0.6 },
+};
+
+export const DEFAULT_FONT_PRESET = 'menlo';
+
+/**
+ * Calculates the character aspect ratio of a font preset at the default line height.
+ * @param {string} presetId - One of the FONT_PRESETS keys.
+ * @returns {number} Cell width / cell height, rounded to two decimals.
+ */
+export const presetAspectRatio = (presetId) =>
+    Math.round((FONT_PRESETS[presetId].advance / DEFAULT_LINE_HEIGHT) * 100) / 100;
+
+/**
+ * Calculates the line height that gives character cells the requested aspect ratio.
+ * @param {number} advance - Glyph advance width as a multiple of the font size.
+ * @param {number} charAspectRatio - Cell width / cell height.
+ * @returns {number} Line height as a multiple of the font size.
+ */
+export const lineHeightFor = (advance, charAspectRatio) => advance / charAspectRatio;
@@ -0,0 +1,72 @@
+// Animated GIF decoding: composes the frames of a GIF into full images, keeping their delays.
+import { parseGIF, decompressFrame } from 'gifuct-js';
+import { downscaleImageData } from './resample.js';
+
+// Browsers play delays shorter than this as 100ms, and so do we
+const MIN_FRAME_DELAY = 20;
+const DEFAULT_FRAME_DELAY = 100;
+
+/**
+ * Decodes the frames of an animated GIF.
+ * Each GIF frame only patches part of the canvas, so the frames are composed one over
+ * another, honouring each frame's disposal method.
+ * @param {ArrayBuffer} buffer - The GIF file contents.
+ * @param {Object} [options]
+ * @param {number} [options.maxFrames] - Frames to decode at most; later ones are never decompressed.
+ * @param {number} [options.maxWidth] - Largest width to keep; each frame is downscaled as soon as it is composed.
+ * @returns {{imageData: {width: number, height: number, data: Uint8ClampedArray}, delay: number}[]}
+ *     The composed frames, with their delays in milliseconds.
+ */
+export const decodeGifFrames = (buffer, { maxFrames = Infinity, maxWidth = Infinity } = {}) => {
+    const gif = parseGIF(buffer);
+    const { width, height } = gif.lsd;
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+
+    for (const block of gif.frames) {
+        if (frames.length >= maxFrames) {
+            break;
+        }
+        if (!block.image) {
+            continue; // Extension blocks carry no pixels
+        }
+        const { dims, patch, disposalType, delay } = decompressFrame(block, gif.gct, true);
+
+        // Disposal 3 restores the canvas to how it was before this frame
+        const before = disposalType === 3 ? canvas.slice() : null;
+
+        // Draw the patch, skipping its transparent pixels
+        for (let y = 0; y < dims.height; y++) {
+            const canvasY = dims.top + y;
+            if (canvasY < 0 || canvasY >= height) {
+                continue;
+            }
+            for (let x = 0; x < dims.width; x++) {
+                const canvasX = dims.left + x;
+                const source = (y * dims.width + x) * 4;
+                if (canvasX < 0 || canvasX >= width || patch[source + 3] === 0) {
+                    continue;
+                }
+                canvas.set(patch.subarray(source, source + 4), (canvasY * width + canvasX) * 4);
+            }
+        }
+
+        // The canvas is reused, so a frame kept at full size needs its own copy
+        const imageData = width > maxWidth
+            ? downscaleImageData({ width, height, data: canvas }, maxWidth)
+            : { width, height, data: canvas.slice() };
+        frames.push({ imageData, delay: delay >= MIN_FRAME_DELAY ? delay : DEFAULT_FRAME_DELAY });
+
+        // Disposal 2 clears the frame's area to transparent before the next frame
+        if (disposalType === 2) {
+            for (let y = Math.max(0, dims.top); y < Math.min(height, dims.top + dims.height); y++) {
+                const start = (y * width + Math.max(0, dims.left)) * 4;
+                const end = (y * width + Math.min(width, dims.left + dims.width)) * 4;
+                canvas.fill(0, start, end);
+            }
+        } else if (before) {
+            canvas.set(before);
+        }
+    }
+    return frames;
+};
@@ -0,0 +1,48 @@
+import { GIFEncoder } from 'gifenc';
+import * as gifuct from 'gifuct-js';
+import { decodeGifFrames } from './gifFrames.js';
+
+// Encodes 2x2 frames, each filled with one palette index
+const encodeGif = (frames) => {
+  const gif = GIFEncoder();
+  const palette = [[255, 0, 0], [0, 0, 255]];
+  frames.forEach(({ index, delay }) => {
+    gif.writeFrame(new Uint8Array(4).fill(index), 2, 2, { palette, delay });
+  });
+  gif.finish();
+  return gif.bytes().buffer;
+};
+
+test('decodes every frame with its delay', () => {
+  const frames = decodeGifFrames(encodeGif([{ index: 0, delay: 50 }, { index: 1, delay: 200 }]));
+
+  expect(frames).toHaveLength(2);
+  expect(frames.map(({ delay }) => delay)).toEqual([50, 200]);
+  expect(frames[0].imageData).toMatchObject({ width: 2, height: 2 });
+  expect(Array.from(frames[0].imageData.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+  expect(Array.from(frames[1].imageData.data.slice(12, 16))).toEqual([0, 0, 255, 255]);
+});
+
+test('plays very short delays at 100ms, like browsers do', () => {
+  const [frame] = decodeGifFrames(encodeGif([{ index: 0, delay: 0 }]));
+  expect(frame.delay).toBe(100);
+});
+
+test('stops decompressing at the frame cap', () => {
+  const gif = encodeGif([{ index: 0, delay: 50 }, { index: 1, delay: 60 }, { index: 0, delay: 70 }]);
+  const spy = jest.spyOn(gifuct, 'decompressFrame');
+
+  const frames = decodeGifFrames(gif, { maxFrames: 2 });
+
+  expect(frames.map(({ delay }) => delay)).toEqual([50, 60]);
+  expect(spy).toHaveBeenCalledTimes(2);
+  spy.mockRestore();
+});
+
+test('downscales each frame to the largest width', () => {
+  const frames = decodeGifFrames(encodeGif([{ index: 0, delay: 50 }, { index: 1, delay: 50 }]), { maxWidth: 1 });
+
+  expect(frames.map(({ imageData }) => [imageData.width, imageData.height])).toEqual([[1, 1], [1, 1]]);
+  expect(Array.from(frames[0].imageData.data)).toEqual([255, 0, 0, 255]);
+  expect(Array.from(frames[1].imageData.data)).toEqual([0, 0, 255, 255]);
+});
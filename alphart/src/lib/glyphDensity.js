@@ -0,0 +1,43 @@
+// Glyph density measurement: renders characters to an offscreen canvas and measures their ink coverage.
+import { toCanvasFont } from './pngExport.js';
+
+// Glyphs are measured at a large size so thin strokes still register
+const MEASURE_FONT_SIZE = 32;
+
+/**
+ * Measures the ink coverage of each character in the given font.
+ * @param {string[]} chars - The characters to measure.
+ * @param {string} [fontFamily] - The output font family.
+ * @returns {number[]|null} Coverage of each character (0-1), or null when no canvas is available.
+ */
+export const measureGlyphCoverage = (chars, fontFamily = 'monospace') => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext && canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+        return null;
+    }
+
+    const font = toCanvasFont(MEASURE_FONT_SIZE, fontFamily);
+    ctx.font = font;
+    // Size the cell like a character of the output: one advance wide, one line tall
+    const cellWidth = Math.max(1, Math.ceil(ctx.measureText('M').width));
+    const cellHeight = MEASURE_FONT_SIZE;
+    canvas.width = cellWidth;
+    canvas.height = cellHeight;
+
+    return chars.map((char) => {
+        // Resizing resets the context state, and every glyph starts from a blank cell
+        ctx.clearRect(0, 0, cellWidth, cellHeight);
+        ctx.font = font;
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#000';
+        ctx.fillText(char, 0, cellHeight / 2);
+
+        const { data } = ctx.getImageData(0, 0, cellWidth, cellHeight);
+        let ink = 0;
+        for (let i = 3; i < data.length; i += 4) {
+            ink += data[i]; // Alpha channel holds the glyph coverage
+        }
+        return ink / (255 * cellWidth * cellHeight);
+    });
+};
@@ -0,0 +1,85 @@
+// Decodes PNG and JPEG files into pixel buffers without a canvas, for Node.
+import { PNG } from 'pngjs';
+import { decode as decodeJpeg } from 'jpeg-js';
+import { transformImageData } from './transform.js';
+
+// Leading bytes that identify each supported format
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+
+// Largest JPEG decoded, in megapixels, and the memory the decoder may use, in megabytes
+const MAX_JPEG_RESOLUTION = 100;
+const MAX_JPEG_MEMORY = 1024;
+
+// EXIF orientations other than 1 (upright), as the rotation and flips that turn the image upright
+const EXIF_ORIENTATIONS = {
+    2: { flipH: true },
+    3: { rotation: 180 },
+    4: { flipV: true },
+    5: { rotation: 90, flipH: true },
+    6: { rotation: 90 },
+    7: { rotation: 90, flipV: true },
+    8: { rotation: 270 },
+};
+
+/**
+ * Tells whether a file starts with the given bytes.
+ */
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+/**
+ * Reads the orientation tag of a JPEG's EXIF block.
+ * @returns {number} The EXIF orientation (1-8); 1 when there is none or the block is damaged.
+ */
+const readJpegOrientation = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    try {
+        // Walk the segments after the start-of-image marker, up to the image data
+        let offset = 2;
+        while (view.getUint8(offset) === 0xff && view.getUint8(offset + 1) !== 0xda) {
+            // An APP1 segment starting with "Exif\0\0" holds a TIFF header, then the first directory
+            if (view.getUint8(offset + 1) === 0xe1 && view.getUint32(offset + 4) === 0x45786966) {
+                const tiff = offset + 10;
+                const littleEndian = view.getUint16(tiff) === 0x4949;
+                const directory = tiff + view.getUint32(tiff + 4, littleEndian);
+                for (let i = 0; i < view.getUint16(directory, littleEndian); i++) {
+                    const entry = directory + 2 + i * 12;
+                    if (view.getUint16(entry, littleEndian) === 0x0112) {
+                        return view.getUint16(entry + 8, littleEndian);
+                    }
+                }
+                return 1;
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (error) {
+        // Ran past the end of a truncated file
+    }
+    return 1;
+};
+
+/**
+ * Decodes a PNG or JPEG file. JPEGs are turned upright by their EXIF orientation, as browsers do.
+ * @param {Uint8Array} bytes - The file contents.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels.
+ * @throws {Error} When the file is neither a PNG nor a JPEG, or is damaged.
+ */
+export const decodeImageFile = (bytes) => {
+    let decoded;
+    if (startsWith(bytes, PNG_SIGNATURE)) {
+        decoded = PNG.sync.read(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    } else if (startsWith(bytes, JPEG_SIGNATURE)) {
+        decoded = decodeJpeg(bytes, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_JPEG_RESOLUTION,
+            maxMemoryUsageInMB: MAX_JPEG_MEMORY,
+        });
+    } else {
+        throw new Error('Unsupported image format. Please use a PNG or JPEG file.');
+    }
+    const { width, height, data } = decoded;
+    const image = { width, height, data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength) };
+    const orientation = startsWith(bytes, JPEG_SIGNATURE) && EXIF_ORIENTATIONS[readJpegOrientation(bytes)];
+    return orientation ? transformImageData(image, orientation) : image;
+};
@@ -0,0 +1,42 @@
+import { PNG } from 'pngjs';
+import { encode as encodeJpeg } from 'jpeg-js';
+import { decodeImageFile } from './imageFile.js';
+
+// 2x1 image: a red pixel and a blue one
+const pixels = Buffer.from([255, 0, 0, 255, 0, 0, 255, 255]);
+
+test('decodes PNG files', () => {
+  const png = new PNG({ width: 2, height: 1 });
+  pixels.copy(png.data);
+  const image = decodeImageFile(new Uint8Array(PNG.sync.write(png)));
+  expect(image.width).toBe(2);
+  expect(image.height).toBe(1);
+  expect(Array.from(image.data)).toEqual(Array.from(pixels));
+});
+
+test('decodes JPEG files', () => {
+  const jpeg = encodeJpeg({ width: 2, height: 1, data: pixels }, 100);
+  const image = decodeImageFile(new Uint8Array(jpeg.data));
+  expect(image.width).toBe(2);
+  expect(image.data).toHaveLength(8);
+  expect(image.data[0]).toBeGreaterThan(200); // Lossy, but still red
+});
+
+test('turns JPEG files upright by their EXIF orientation', () => {
+  const jpeg = encodeJpeg({ width: 2, height: 1, data: pixels }, 100).data;
+  // APP1 segment with a big-endian TIFF header and a single tag: orientation 6, a quarter turn clockwise
+  const exif = Buffer.from([
+    0xff, 0xe1, 0x00, 0x22, ...Buffer.from('Exif\0\0'),
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+  const image = decodeImageFile(new Uint8Array(Buffer.concat([jpeg.subarray(0, 2), exif, jpeg.subarray(2)])));
+  expect([image.width, image.height]).toEqual([1, 2]);
+  expect(image.data[0]).toBeGreaterThan(image.data[2]); // The red pixel turns to the top
+  expect(image.data[6]).toBeGreaterThan(image.data[4]);
+});
+
+test('rejects other formats', () => {
+  expect(() => decodeImageFile(new Uint8Array(Buffer.from('GIF89a')))).toThrow('Unsupported image format');
+});
@@ -0,0 +1,86 @@
+// Decodes images into pixel buffers through a canvas.
+
+// Source pixels kept per output character along each axis; more only slows the conversion down
+export const MAX_SAMPLES_PER_CHAR = 8;
+
+/**
+ * Calculates the size an image is downscaled to before its pixels are read.
+ * @param {number} imageWidth - Source width in pixels.
+ * @param {number} imageHeight - Source height in pixels.
+ * @param {number} [maxWidth] - Largest useful width in pixels; omit to keep the full size.
+ * @returns {{width: number, height: number}} The working size, never larger than the source.
+ */
+export const getWorkingSize = (imageWidth, imageHeight, maxWidth) => {
+    if (!maxWidth || imageWidth <= maxWidth) {
+        return { width: imageWidth, height: imageHeight };
+    }
+    return {
+        width: maxWidth,
+        height: Math.max(1, Math.round((imageHeight / imageWidth) * maxWidth)),
+    };
+};
+
+/**
+ * Draws an image (or bitmap, or the current video frame) onto a canvas at the working size and reads its pixels.
+ * @param {CanvasImageSource} image - The decoded image, or a playing video.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas used to draw the image; it is resized to fit.
+ * @param {number} [maxWidth] - Largest useful width in pixels, see getWorkingSize.
+ * @returns {ImageData} The image pixels.
+ */
+export const readImagePixels = (image, canvas, maxWidth) => {
+    // Video elements report their frame size as videoWidth and videoHeight
+    const { width, height } = getWorkingSize(
+        image.videoWidth || image.width,
+        image.videoHeight || image.height,
+        maxWidth
+    );
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    // Set canvas dimensions to the working size for drawing
+    canvas.width = width;
+    canvas.height = height;
+
+    // Draw the image onto the canvas, letting the browser average the pixels when downscaling
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+};
+
+/**
+ * Builds the error an undecodable file rejects with. Its name is 'DecodeError'.
+ * @returns {Error} The error.
+ */
+const decodeError = () => {
+    const error = new Error('Could not load image. Please check the file format or try another image.');
+    error.name = 'DecodeError';
+    return error;
+};
+
+/**
+ * Decodes an image file once, so it can be converted again without re-reading it.
+ * Uses createImageBitmap where available (decoded off the main thread, and transferable to workers).
+ * @param {Blob} blob - The image file.
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} The decoded image. Files that can't be decoded
+ *     reject with a DecodeError.
+ */
+export const decodeImage = (blob) => {
+    if (typeof createImageBitmap === 'function') {
+        // Browsers reject undecodable files with an InvalidStateError (or EncodingError in older ones)
+        return createImageBitmap(blob).catch((error) => {
+            throw error.name === 'InvalidStateError' || error.name === 'EncodingError' ? decodeError() : error;
+        });
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(decodeError());
+        };
+        img.src = url;
+    });
+};
@@ -0,0 +1,28 @@
+import { getWorkingSize, readImagePixels, decodeImage } from './imageLoader';
+
+test('keeps images that are already small enough', () => {
+  expect(getWorkingSize(300, 200, 960)).toEqual({ width: 300, height: 200 });
+  expect(getWorkingSize(300, 200)).toEqual({ width: 300, height: 200 });
+});
+
+test('downscales large images keeping their proportions', () => {
+  expect(getWorkingSize(4000, 3000, 960)).toEqual({ width: 960, height: 720 });
+  expect(getWorkingSize(4000, 1, 960)).toEqual({ width: 960, height: 1 });
+});
+
+test('reads videos at their frame size', () => {
+  const ctx = { drawImage: jest.fn(), getImageData: jest.fn((x, y, width, height) => ({ width, height })) };
+  const canvas = { getContext: () => ctx };
+  // The width and height attributes of a video element are 0 unless set
+  const video = { width: 0, height: 0, videoWidth: 640, videoHeight: 480 };
+  expect(readImagePixels(video, canvas, 320)).toEqual({ width: 320, height: 240 });
+  expect(ctx.drawImage).toHaveBeenCalledWith(video, 0, 0, 320, 240);
+});
+
+test('tells undecodable files apart from other decoding failures', async () => {
+  const invalid = Object.assign(new Error('The source image could not be decoded.'), { name: 'InvalidStateError' });
+  global.createImageBitmap = jest.fn().mockRejectedValueOnce(invalid).mockRejectedValueOnce(new Error('Out of memory'));
+  await expect(decodeImage(new Blob(['x']))).rejects.toMatchObject({ name: 'DecodeError' });
+  await expect(decodeImage(new Blob(['x']))).rejects.toThrow('Out of memory');
+  delete global.createImageBitmap;
+});
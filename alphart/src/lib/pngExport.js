@@ -0,0 +1,90 @@
+// PNG export: draws a rendered ASCII grid onto a canvas and encodes it as an image.
+import { toHex, DEFAULT_FOREGROUND, DEFAULT_BACKGROUND } from './exporters.js';
+import { DEFAULT_LINE_HEIGHT } from './fontMetrics.js';
+
+// Monospace fonts offered for the rendered image; unavailable fonts fall back to the generic family
+export const PNG_FONTS = ['monospace', 'Courier New', 'Consolas', 'Menlo', 'DejaVu Sans Mono'];
+
+export const DEFAULT_PNG_OPTIONS = {
+    fontFamily: 'monospace',
+    fontSize: 12, // Font size in pixels
+    foreground: DEFAULT_FOREGROUND,
+    background: DEFAULT_BACKGROUND,
+    lineHeight: DEFAULT_LINE_HEIGHT, // Line height as a multiple of the font size, when charAspectRatio is null
+    letterSpacing: 0, // Extra spacing between characters in pixels
+    charAspectRatio: null, // Cell width / cell height, to match the sizing of the art whatever the font's advance
+    color: false, // Use each cell's own color instead of the foreground color
+    padding: 16, // Margin around the art in pixels
+};
+
+/**
+ * Builds a CSS font shorthand, quoting named families and falling back to the generic monospace.
+ * @param {number} fontSize - Font size in pixels.
+ * @param {string} fontFamily - The font family.
+ * @returns {string} The canvas font string.
+ */
+export const toCanvasFont = (fontSize, fontFamily) =>
+    fontFamily === 'monospace'
+        ? `${fontSize}px monospace`
+        : `${fontSize}px "${fontFamily}", monospace`;
+
+/**
+ * Draws a grid onto a canvas, resizing the canvas to fit the art.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {Object} [options] - Drawing options, see DEFAULT_PNG_OPTIONS.
+ */
+export const drawGridToCanvas = (canvas, grid, options = {}) => {
+    const {
+        fontFamily, fontSize, foreground, background, lineHeight, letterSpacing, charAspectRatio, color, padding,
+    } = { ...DEFAULT_PNG_OPTIONS, ...options };
+    const ctx = canvas.getContext('2d');
+    const font = toCanvasFont(fontSize, fontFamily);
+
+    // Measure one glyph to lay out the grid; monospace glyphs all share the same advance
+    ctx.font = font;
+    const charWidth = ctx.measureText('M').width + letterSpacing;
+    const rowHeight = charAspectRatio ? charWidth / charAspectRatio : fontSize * lineHeight;
+
+    canvas.width = Math.ceil(grid.width * charWidth + padding * 2);
+    canvas.height = Math.ceil(grid.height * rowHeight + padding * 2);
+
+    // Resizing the canvas resets the context state, so set everything up again
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = font;
+    // Center glyphs vertically in their line, like the browser does
+    ctx.textBaseline = 'middle';
+
+    grid.rows.forEach((row, y) => {
+        row.forEach((cell, x) => {
+            if (color && cell.background) {
+                ctx.fillStyle = toHex(cell.background);
+                ctx.fillRect(padding + x * charWidth, padding + y * rowHeight, charWidth, rowHeight);
+            }
+            if (cell.char === ' ') {
+                return;
+            }
+            ctx.fillStyle = color ? toHex(cell.color) : foreground;
+            ctx.fillText(cell.char, padding + x * charWidth, padding + y * rowHeight + rowHeight / 2);
+        });
+    });
+};
+
+/**
+ * Renders a grid to a PNG image.
+ * @param {import('./asciiRenderer').AsciiGrid} grid - The rendered grid.
+ * @param {Object} [options] - Drawing options, see DEFAULT_PNG_OPTIONS.
+ * @returns {Promise<Blob>} The PNG image.
+ */
+export const gridToPngBlob = (grid, options = {}) => new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    drawGridToCanvas(canvas, grid, options);
+    canvas.toBlob((blob) => {
+        if (blob) {
+            resolve(blob);
+        } else {
+            reject(new Error('Could not encode the PNG image.'));
+        }
+    }, 'image/png');
+});
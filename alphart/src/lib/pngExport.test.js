@@ -0,0 +1,53 @@
+import { drawGridToCanvas, toCanvasFont } from './pngExport.js';
+
+// Records the drawing calls made on a fake 2D context
+const makeCanvas = () => {
+  const calls = [];
+  const ctx = {
+    measureText: () => ({ width: 10 }),
+    fillRect: (...args) => calls.push(['fillRect', ctx.fillStyle, ...args]),
+    fillText: (...args) => calls.push(['fillText', ctx.fillStyle, ctx.font, ...args]),
+  };
+  return { canvas: { getContext: () => ctx }, calls };
+};
+
+const grid = {
+  width: 2,
+  height: 1,
+  rows: [[{ char: '#', color: [255, 0, 0] }, { char: ' ', color: [0, 0, 0] }]],
+};
+
+test('quotes named fonts and falls back to monospace', () => {
+  expect(toCanvasFont(12, 'monospace')).toBe('12px monospace');
+  expect(toCanvasFont(14, 'Courier New')).toBe('14px "Courier New", monospace');
+});
+
+test('sizes the canvas from the font metrics and padding', () => {
+  const { canvas } = makeCanvas();
+  drawGridToCanvas(canvas, grid, { fontSize: 10, lineHeight: 1, letterSpacing: 0, padding: 5 });
+  expect(canvas.width).toBe(30);
+  expect(canvas.height).toBe(20);
+});
+
+test('derives the row height from the character aspect ratio when given', () => {
+  const { canvas } = makeCanvas();
+  drawGridToCanvas(canvas, grid, { fontSize: 10, letterSpacing: 0, padding: 0, charAspectRatio: 0.5 });
+  expect(canvas.height).toBe(20);
+});
+
+test('fills the background and draws non-blank characters', () => {
+  const { canvas, calls } = makeCanvas();
+  drawGridToCanvas(canvas, grid, {
+    fontSize: 10, lineHeight: 1, letterSpacing: 0, padding: 0, background: '#000000', foreground: '#ffffff',
+  });
+  expect(calls).toEqual([
+    ['fillRect', '#000000', 0, 0, 20, 10],
+    ['fillText', '#ffffff', '10px monospace', '#', 0, 5],
+  ]);
+});
+
+test('uses cell colors in color mode', () => {
+  const { canvas, calls } = makeCanvas();
+  drawGridToCanvas(canvas, grid, { color: true });
+  expect(calls[1][1]).toBe('#ff0000');
+});
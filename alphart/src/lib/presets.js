@@ -0,0 +1,223 @@
+// Conversion settings as a plain object: the defaults, named presets kept in localStorage,
+// the last used settings, and JSON export/import of presets.
+import { DEFAULT_OPTIONS, SIZE_MODES, TERMINAL_SIZES, RENDER_MODES } from './asciiRenderer.js';
+import { CHARSET_PRESETS, DEFAULT_CHARSET } from './charsets.js';
+import { DEFAULT_ADJUSTMENTS } from './adjustments.js';
+import { RESAMPLING_MODES, DEFAULT_RESAMPLING } from './resample.js';
+import { DITHER_MODES } from './dither.js';
+import { CAPTION_MODES } from './captions.js';
+import {
+    FONT_PRESETS, DEFAULT_FONT_PRESET, MIN_CHAR_ASPECT_RATIO, MAX_CHAR_ASPECT_RATIO, presetAspectRatio,
+} from './fontMetrics.js';
+
+// localStorage keys
+const PRESETS_KEY = 'alphart.presets';
+const LAST_SETTINGS_KEY = 'alphart.settings';
+
+// Identifies exported preset files
+const PRESETS_FORMAT = 'alphart-presets';
+const PRESETS_VERSION = 1;
+
+// Every setting a preset holds, with its default
+export const DEFAULT_SETTINGS = {
+    sizeMode: 'width',
+    asciiWidth: DEFAULT_OPTIONS.width,
+    asciiHeight: 40,
+    terminalSize: '80x24',
+    fontPreset: DEFAULT_FONT_PRESET,
+    charAspectRatio: presetAspectRatio(DEFAULT_FONT_PRESET),
+    invertColors: DEFAULT_OPTIONS.invert,
+    charsetId: DEFAULT_CHARSET,
+    customCharset: '',
+    colorMode: DEFAULT_OPTIONS.color,
+    renderMode: DEFAULT_OPTIONS.mode,
+    threshold: DEFAULT_OPTIONS.threshold,
+    adjustments: DEFAULT_ADJUSTMENTS,
+    dither: DEFAULT_OPTIONS.dither,
+    edges: DEFAULT_OPTIONS.edges,
+    edgeThreshold: DEFAULT_OPTIONS.edgeThreshold,
+    edgesOnly: DEFAULT_OPTIONS.edgesOnly,
+    resampling: DEFAULT_RESAMPLING,
+    captionMode: DEFAULT_OPTIONS.captionMode,
+    captionText: '',
+};
+
+// Settings that name one of a fixed set of choices
+const CHOICES = {
+    sizeMode: SIZE_MODES,
+    terminalSize: TERMINAL_SIZES,
+    fontPreset: FONT_PRESETS,
+    charsetId: { ...CHARSET_PRESETS, custom: null },
+    renderMode: RENDER_MODES,
+    dither: DITHER_MODES,
+    resampling: RESAMPLING_MODES,
+    captionMode: CAPTION_MODES,
+};
+
+// Numeric settings and their [min, max] range, as the inputs allow
+const RANGES = {
+    asciiWidth: [30, 300],
+    asciiHeight: [10, 200],
+    charAspectRatio: [MIN_CHAR_ASPECT_RATIO, MAX_CHAR_ASPECT_RATIO],
+    threshold: [0, 255],
+    edgeThreshold: [0, 255],
+};
+
+// Numeric settings that only take whole numbers
+const INTEGER_SETTINGS = ['asciiWidth', 'asciiHeight'];
+
+// Numeric adjustments and their [min, max] range, as the sliders allow
+const ADJUSTMENT_RANGES = {
+    brightness: [-100, 100],
+    contrast: [-100, 100],
+    gamma: [0.1, 5],
+};
+
+/**
+ * Tells whether a number lies within a [min, max] range.
+ */
+const isInRange = (value, [min, max]) => Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Tells whether a value read from outside can be used for a setting.
+ */
+const isValidSetting = (key, value) => {
+    if (typeof value !== typeof DEFAULT_SETTINGS[key] || value === null) {
+        return false;
+    }
+    if (CHOICES[key]) {
+        return Object.prototype.hasOwnProperty.call(CHOICES[key], value);
+    }
+    if (INTEGER_SETTINGS.includes(key) && !Number.isInteger(value)) {
+        return false;
+    }
+    if (RANGES[key]) {
+        return isInRange(value, RANGES[key]);
+    }
+    return true;
+};
+
+/**
+ * Cleans up settings read from storage, a file or a link: unknown keys and invalid values
+ * are dropped, and missing ones take their defaults.
+ * @param {*} raw - The settings as read.
+ * @returns {Object} Complete settings, see DEFAULT_SETTINGS.
+ */
+export const sanitizeSettings = (raw) => {
+    const settings = { ...DEFAULT_SETTINGS };
+    if (!raw || typeof raw !== 'object') {
+        return settings;
+    }
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        if (!isValidSetting(key, raw[key])) {
+            return;
+        }
+        settings[key] = key === 'adjustments' ? sanitizeAdjustments(raw[key]) : raw[key];
+    });
+    return settings;
+};
+
+/**
+ * Keeps the known adjustments of the right type and within their ranges.
+ */
+const sanitizeAdjustments = (raw) => {
+    const adjustments = { ...DEFAULT_ADJUSTMENTS };
+    Object.keys(DEFAULT_ADJUSTMENTS).forEach((key) => {
+        if (typeof raw[key] === typeof DEFAULT_ADJUSTMENTS[key]
+            && (!ADJUSTMENT_RANGES[key] || isInRange(raw[key], ADJUSTMENT_RANGES[key]))) {
+            adjustments[key] = raw[key];
+        }
+    });
+    return adjustments;
+};
+
+/**
+ * Reads a JSON value from storage.
+ * @returns {*} The value, or null when it is missing or unreadable.
+ */
+const readJson = (storage, key) => {
+    try {
+        return JSON.parse(storage.getItem(key));
+    } catch (error) {
+        return null; // Unreadable or blocked storage
+    }
+};
+
+/**
+ * Writes a JSON value to storage, ignoring full or blocked storage.
+ */
+const writeJson = (storage, key, value) => {
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // The value still applies to this visit
+    }
+};
+
+/**
+ * Reads the saved presets.
+ * @param {Storage} [storage] - Where the presets are kept.
+ * @returns {Object<string, Object>} The presets by name.
+ */
+export const loadPresets = (storage = window.localStorage) => {
+    const saved = readJson(storage, PRESETS_KEY);
+    if (!saved || typeof saved !== 'object') {
+        return {};
+    }
+    return Object.fromEntries(Object.entries(saved).map(([name, settings]) => [name, sanitizeSettings(settings)]));
+};
+
+/**
+ * Saves the presets.
+ * @param {Object<string, Object>} presets - The presets by name.
+ * @param {Storage} [storage] - Where the presets are kept.
+ */
+export const savePresets = (presets, storage = window.localStorage) => writeJson(storage, PRESETS_KEY, presets);
+
+/**
+ * Reads the settings in use when the app was last open.
+ * @param {Storage} [storage] - Where the settings are kept.
+ * @returns {Object} The settings, or the defaults on a first visit.
+ */
+export const loadLastSettings = (storage = window.localStorage) =>
+    sanitizeSettings(readJson(storage, LAST_SETTINGS_KEY));
+
+/**
+ * Saves the settings in use, for the next visit.
+ * @param {Object} settings - See DEFAULT_SETTINGS.
+ * @param {Storage} [storage] - Where the settings are kept.
+ */
+export const saveLastSettings = (settings, storage = window.localStorage) =>
+    writeJson(storage, LAST_SETTINGS_KEY, settings);
+
+/**
+ * Exports presets as a JSON file.
+ * @param {Object<string, Object>} presets - The presets by name.
+ * @returns {string} The JSON document.
+ */
+export const presetsToJson = (presets) =>
+    JSON.stringify({ format: PRESETS_FORMAT, version: PRESETS_VERSION, presets }, null, 2);
+
+/**
+ * Reads presets from an exported JSON file.
+ * @param {string} text - The file contents.
+ * @returns {Object<string, Object>} The presets by name.
+ * @throws {Error} When the file is not an exported presets file.
+ */
+export const presetsFromJson = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!parsed || parsed.format !== PRESETS_FORMAT || !parsed.presets || typeof parsed.presets !== 'object') {
+        throw new Error('The file does not contain ASCII art presets.');
+    }
+    if (parsed.version > PRESETS_VERSION) {
+        throw new Error('The presets were saved by a newer version of the app.');
+    }
+    return Object.fromEntries(
+        Object.entries(parsed.presets).map(([name, settings]) => [name, sanitizeSettings(settings)])
+    );
+};
@@ -0,0 +1,47 @@
+import {
+  DEFAULT_SETTINGS, sanitizeSettings, loadPresets, savePresets, loadLastSettings, saveLastSettings,
+  presetsToJson, presetsFromJson,
+} from './presets.js';
+
+afterEach(() => localStorage.clear());
+
+test('fills in missing settings and drops unknown or invalid ones', () => {
+  const settings = sanitizeSettings({ asciiWidth: 80, invertColors: 'yes', apiKey: 'secret', adjustments: { gamma: 2 } });
+  expect(settings.asciiWidth).toBe(80);
+  expect(settings.invertColors).toBe(DEFAULT_SETTINGS.invertColors);
+  expect(settings).not.toHaveProperty('apiKey');
+  expect(settings.adjustments).toEqual({ ...DEFAULT_SETTINGS.adjustments, gamma: 2 });
+  expect(sanitizeSettings({ charsetId: 'nope', asciiWidth: 5000 })).toEqual(DEFAULT_SETTINGS);
+  expect(sanitizeSettings({ charsetId: 'custom' }).charsetId).toBe('custom');
+  expect(sanitizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+});
+
+test('drops fractional sizes and adjustments out of their slider ranges', () => {
+  expect(sanitizeSettings({ asciiWidth: 80.5, asciiHeight: 40.2 })).toEqual(DEFAULT_SETTINGS);
+  const { adjustments } = sanitizeSettings({ adjustments: { brightness: 1e6, contrast: -50, gamma: 0 } });
+  expect(adjustments).toEqual({ ...DEFAULT_SETTINGS.adjustments, contrast: -50 });
+});
+
+test('saves and loads named presets', () => {
+  expect(loadPresets()).toEqual({});
+  savePresets({ Wide: { ...DEFAULT_SETTINGS, asciiWidth: 200 } });
+  expect(loadPresets().Wide.asciiWidth).toBe(200);
+});
+
+test('remembers the last settings and ignores unreadable storage', () => {
+  saveLastSettings({ ...DEFAULT_SETTINGS, charsetId: 'blocks' });
+  expect(loadLastSettings().charsetId).toBe('blocks');
+  localStorage.setItem('alphart.settings', '{not json');
+  expect(loadLastSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test('round-trips presets through JSON', () => {
+  const presets = { Small: { ...DEFAULT_SETTINGS, asciiWidth: 40, invertColors: true } };
+  expect(presetsFromJson(presetsToJson(presets))).toEqual(presets);
+});
+
+test('rejects files that are not exported presets', () => {
+  expect(() => presetsFromJson('nope')).toThrow('not valid JSON');
+  expect(() => presetsFromJson('{"presets": {}}')).toThrow('does not contain');
+  expect(() => presetsFromJson('{"format": "alphart-presets", "version": 99, "presets": {}}')).toThrow('newer version');
+});
@@ -0,0 +1,131 @@
+// Resampling strategies used to reduce a source image to one color per character cell.
+// Every sampler returns the [r, g, b] color of the cell (alpha is ignored).
+
+// Available resampling modes, from fastest to highest fidelity
+export const RESAMPLING_MODES = {
+    nearest: 'Nearest (fastest)',
+    bilinear: 'Bilinear',
+    box: 'Box average (best quality)',
+};
+
+export const DEFAULT_RESAMPLING = 'box';
+
+/**
+ * Reads the RGB color of a single source pixel.
+ * @param {{width: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {number} px - Pixel column.
+ * @param {number} py - Pixel row.
+ * @returns {number[]} The [r, g, b] color.
+ */
+const getPixel = ({ width, data }, px, py) => {
+    const i = (py * width + px) * 4; // *4 for R, G, B, A
+    return [data[i], data[i + 1], data[i + 2]];
+};
+
+/**
+ * Point sampling: takes the top-left source pixel of the cell.
+ */
+const sampleNearest = (imageData, x, y, cols, rows) => {
+    const sourceX = Math.floor((x / cols) * imageData.width);
+    const sourceY = Math.floor((y / rows) * imageData.height);
+    return getPixel(imageData, sourceX, sourceY);
+};
+
+/**
+ * Bilinear sampling: interpolates the four source pixels around the center of the cell.
+ */
+const sampleBilinear = (imageData, x, y, cols, rows) => {
+    const { width, height } = imageData;
+    // Cell center in source pixel coordinates, clamped to the image
+    const sx = Math.min(Math.max(((x + 0.5) / cols) * width - 0.5, 0), width - 1);
+    const sy = Math.min(Math.max(((y + 0.5) / rows) * height - 0.5, 0), height - 1);
+    const x0 = Math.floor(sx);
+    const y0 = Math.floor(sy);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fx = sx - x0;
+    const fy = sy - y0;
+
+    const topLeft = getPixel(imageData, x0, y0);
+    const topRight = getPixel(imageData, x1, y0);
+    const bottomLeft = getPixel(imageData, x0, y1);
+    const bottomRight = getPixel(imageData, x1, y1);
+
+    return [0, 1, 2].map((c) => {
+        const top = topLeft[c] + (topRight[c] - topLeft[c]) * fx;
+        const bottom = bottomLeft[c] + (bottomRight[c] - bottomLeft[c]) * fx;
+        return top + (bottom - top) * fy;
+    });
+};
+
+/**
+ * Box filter: averages every source pixel covered by the cell.
+ */
+const sampleBox = (imageData, x, y, cols, rows) => {
+    const { width, height, data } = imageData;
+    const x0 = Math.floor((x / cols) * width);
+    const y0 = Math.floor((y / rows) * height);
+    // Always cover at least one pixel when upscaling
+    const x1 = Math.max(x0 + 1, Math.floor(((x + 1) / cols) * width));
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) / rows) * height));
+
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let py = y0; py < y1; py++) {
+        for (let px = x0; px < x1; px++) {
+            const i = (py * width + px) * 4;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+        }
+    }
+    const count = (x1 - x0) * (y1 - y0);
+    return [r / count, g / count, b / count];
+};
+
+const SAMPLERS = {
+    nearest: sampleNearest,
+    bilinear: sampleBilinear,
+    box: sampleBox,
+};
+
+/**
+ * Samples the color of one character cell of a cols × rows grid laid over the image.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {number} x - Cell column.
+ * @param {number} y - Cell row.
+ * @param {number} cols - Number of columns in the grid.
+ * @param {number} rows - Number of rows in the grid.
+ * @param {string} [mode] - One of the RESAMPLING_MODES keys.
+ * @returns {number[]} The [r, g, b] color of the cell.
+ */
+export const sampleCell = (imageData, x, y, cols, rows, mode = DEFAULT_RESAMPLING) => {
+    const sampler = SAMPLERS[mode];
+    if (!sampler) {
+        throw new Error(`Unknown resampling mode: ${mode}`);
+    }
+    return sampler(imageData, x, y, cols, rows);
+};
+
+/**
+ * Downscales an image with the box filter, without a canvas.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {number} maxWidth - Largest width to keep.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The image, untouched if already small enough.
+ */
+export const downscaleImageData = (imageData, maxWidth) => {
+    if (imageData.width <= maxWidth) {
+        return imageData;
+    }
+    const width = maxWidth;
+    const height = Math.max(1, Math.round((imageData.height / imageData.width) * maxWidth));
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = sampleBox(imageData, x, y, width, height);
+            data.set([r, g, b, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
@@ -0,0 +1,44 @@
+import { sampleCell, downscaleImageData } from './resample.js';
+
+// 4x1 image: black, white, black, white
+const stripes = {
+  width: 4,
+  height: 1,
+  data: new Uint8ClampedArray([
+    0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255,
+  ]),
+};
+
+test('nearest takes the top-left pixel of the cell', () => {
+  expect(sampleCell(stripes, 0, 0, 2, 1, 'nearest')).toEqual([0, 0, 0]);
+  expect(sampleCell(stripes, 1, 0, 2, 1, 'nearest')).toEqual([0, 0, 0]);
+});
+
+test('box averages every pixel covered by the cell', () => {
+  expect(sampleCell(stripes, 0, 0, 2, 1, 'box')).toEqual([127.5, 127.5, 127.5]);
+});
+
+test('box still covers one pixel when upscaling', () => {
+  expect(sampleCell(stripes, 3, 0, 8, 1, 'box')).toEqual([255, 255, 255]);
+});
+
+test('bilinear interpolates around the cell center', () => {
+  expect(sampleCell(stripes, 0, 0, 2, 1, 'bilinear')).toEqual([127.5, 127.5, 127.5]);
+  expect(sampleCell(stripes, 1, 0, 4, 1, 'bilinear')).toEqual([255, 255, 255]);
+});
+
+test('rejects unknown modes', () => {
+  expect(() => sampleCell(stripes, 0, 0, 1, 1, 'lanczos')).toThrow(/unknown resampling mode/i);
+});
+
+test('downscales images wider than the limit with the box filter', () => {
+  // 4x2 image: a black pair and a white pair on each row
+  const data = new Uint8ClampedArray(32);
+  [2, 3, 6, 7].forEach((pixel) => data.fill(255, pixel * 4, pixel * 4 + 4));
+  const image = { width: 4, height: 2, data };
+
+  expect(downscaleImageData(image, 8)).toBe(image);
+  const small = downscaleImageData(image, 2);
+  expect(small).toMatchObject({ width: 2, height: 1 });
+  expect(Array.from(small.data)).toEqual([0, 0, 0, 255, 255, 255, 255, 255]);
+});
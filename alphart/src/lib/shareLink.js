@@ -0,0 +1,84 @@
+// Settings, and optionally the art itself, packed into the URL hash so a link reproduces them.
+// The payload is deflated JSON in URL-safe base64; only settings that differ from the defaults are kept.
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+import { DEFAULT_SETTINGS, sanitizeSettings } from './presets.js';
+
+// Hash parameter holding the payload
+const HASH_PARAM = 's';
+
+// Version of the payload layout
+const SHARE_VERSION = 1;
+
+/**
+ * Encodes bytes as URL-safe base64 without padding.
+ */
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes URL-safe base64, with or without padding.
+ */
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Keeps the settings that differ from the defaults.
+ */
+const changedSettings = (settings) => Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) =>
+        key in DEFAULT_SETTINGS && JSON.stringify(value) !== JSON.stringify(DEFAULT_SETTINGS[key]))
+);
+
+/**
+ * Builds the URL hash for a share link.
+ * @param {Object} settings - See DEFAULT_SETTINGS.
+ * @param {string} [art] - ASCII art to include, as plain text.
+ * @returns {string} The hash, starting with '#'.
+ */
+export const encodeShareHash = (settings, art) => {
+    const payload = { v: SHARE_VERSION, settings: changedSettings(settings), ...(art && { art }) };
+    return `#${HASH_PARAM}=${toBase64Url(deflateSync(strToU8(JSON.stringify(payload)), { level: 9 }))}`;
+};
+
+/**
+ * Reads a share link's URL hash.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {{settings: Object, art: string|null}|null} Complete settings and the included art,
+ *     or null when the hash is not a share link or cannot be read.
+ */
+export const decodeShareHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_PARAM);
+    if (!encoded) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(strFromU8(inflateSync(fromBase64Url(encoded))));
+        if (!payload || payload.v > SHARE_VERSION) {
+            return null;
+        }
+        return {
+            settings: sanitizeSettings(payload.settings),
+            art: typeof payload.art === 'string' ? payload.art : null,
+        };
+    } catch (error) {
+        return null; // Truncated or mangled link
+    }
+};
+
+/**
+ * Builds a share link for the page at the given URL.
+ * @param {string} pageUrl - The current page URL; any hash it has is replaced.
+ * @param {Object} settings - See DEFAULT_SETTINGS.
+ * @param {string} [art] - ASCII art to include, as plain text.
+ * @returns {string} The link.
+ */
+export const buildShareUrl = (pageUrl, settings, art) =>
+    pageUrl.split('#')[0] + encodeShareHash(settings, art);
@@ -0,0 +1,30 @@
+import { encodeShareHash, decodeShareHash, buildShareUrl } from './shareLink.js';
+import { DEFAULT_SETTINGS } from './presets.js';
+
+test('round-trips settings through the hash', () => {
+  const settings = { ...DEFAULT_SETTINGS, asciiWidth: 64, invertColors: true, customCharset: ' .:#' };
+  const hash = encodeShareHash(settings);
+  expect(hash).toMatch(/^#s=[A-Za-z0-9_-]+$/);
+  expect(decodeShareHash(hash)).toEqual({ settings, art: null });
+});
+
+test('includes the art when given', () => {
+  const art = '@@..\n..@@\n';
+  expect(decodeShareHash(encodeShareHash(DEFAULT_SETTINGS, art)).art).toBe(art);
+});
+
+test('keeps only the changed settings, so default links stay short', () => {
+  expect(encodeShareHash(DEFAULT_SETTINGS).length).toBeLessThan(40);
+});
+
+test('returns null for hashes that are not share links', () => {
+  expect(decodeShareHash('')).toBeNull();
+  expect(decodeShareHash('#section')).toBeNull();
+  expect(decodeShareHash('#s=%%%')).toBeNull();
+  expect(decodeShareHash('#s=AAAA')).toBeNull();
+});
+
+test('replaces the hash of the page URL', () => {
+  const url = buildShareUrl('https://example.com/alphart/#old', DEFAULT_SETTINGS);
+  expect(url.startsWith('https://example.com/alphart/#s=')).toBe(true);
+});
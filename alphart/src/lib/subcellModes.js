@@ -0,0 +1,109 @@
+// High-resolution render modes that pack several source pixels into each character.
+// Both modes sample the image on a finer grid than the character grid and threshold
+// every sub-pixel, giving more effective resolution at the same output width.
+import { sampleCell } from './resample.js';
+import { luminance, averageColor } from './color.js';
+
+// First Unicode Braille pattern (blank); the other 255 patterns follow it
+const BRAILLE_BASE = 0x2800;
+
+// Bit of each Braille dot, indexed by [row][column] of the 2×4 dot matrix
+const BRAILLE_DOTS = [
+    [0x01, 0x08],
+    [0x02, 0x10],
+    [0x04, 0x20],
+    [0x40, 0x80],
+];
+
+/**
+ * Samples one sub-pixel of a fine grid and tells whether it is lit.
+ * @returns {{color: number[], lit: boolean}} The sub-pixel color and state.
+ */
+const sampleSubPixel = (imageData, x, y, cols, rows, { resampling, invert, threshold }) => {
+    const color = sampleCell(imageData, x, y, cols, rows, resampling).map(Math.round);
+    let grayscale = luminance(...color);
+    if (invert) {
+        grayscale = 255 - grayscale;
+    }
+    return { color, lit: grayscale >= threshold };
+};
+
+/**
+ * Renders an image with Unicode Braille patterns, each character encoding a 2×4 dot matrix.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {Object} options - Conversion options, with `width` and `height` in characters.
+ * @returns {import('./asciiRenderer').AsciiGrid} The rendered grid.
+ */
+export const renderBrailleGrid = (imageData, options) => {
+    const { width, height } = options;
+    const dotCols = width * 2;
+    const dotRows = height * 4;
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            let bits = 0;
+            const colors = [];
+            BRAILLE_DOTS.forEach((dotRow, dy) => {
+                dotRow.forEach((bit, dx) => {
+                    const dot = sampleSubPixel(imageData, x * 2 + dx, y * 4 + dy, dotCols, dotRows, options);
+                    colors.push(dot.color);
+                    if (dot.lit) {
+                        bits |= bit;
+                    }
+                });
+            });
+            row.push({ char: String.fromCharCode(BRAILLE_BASE + bits), color: averageColor(colors) });
+        }
+        rows.push(row);
+        if (options.onProgress) {
+            options.onProgress((y + 1) / height);
+        }
+    }
+
+    return { width, height, rows };
+};
+
+/**
+ * Renders an image with half-block characters, each character covering two stacked pixels.
+ * In color mode every cell is an upper half block painted with the top pixel's color
+ * over the bottom pixel's color; otherwise the pixels are thresholded to ▀, ▄, █ or a space.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {Object} options - Conversion options, with `width` and `height` in characters.
+ * @returns {import('./asciiRenderer').AsciiGrid} The rendered grid.
+ */
+export const renderHalfBlockGrid = (imageData, options) => {
+    const { width, height, color } = options;
+    const pixelRows = height * 2;
+    const rows = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            const top = sampleSubPixel(imageData, x, y * 2, width, pixelRows, options);
+            const bottom = sampleSubPixel(imageData, x, y * 2 + 1, width, pixelRows, options);
+
+            if (color) {
+                row.push({ char: '▀', color: top.color, background: bottom.color });
+                continue;
+            }
+
+            let char = ' ';
+            if (top.lit && bottom.lit) {
+                char = '█';
+            } else if (top.lit) {
+                char = '▀';
+            } else if (bottom.lit) {
+                char = '▄';
+            }
+            row.push({ char, color: averageColor([top.color, bottom.color]) });
+        }
+        rows.push(row);
+        if (options.onProgress) {
+            options.onProgress((y + 1) / height);
+        }
+    }
+
+    return { width, height, rows };
+};
@@ -0,0 +1,109 @@
+// Crop, rotation and flips applied to the source pixels before conversion.
+
+export const DEFAULT_TRANSFORM = {
+    crop: null, // Region to keep as fractions (0-1) of the source: { x, y, width, height }, or null for all of it
+    rotation: 0, // Clockwise rotation in degrees, a multiple of 90
+    flipH: false, // Mirror left to right, after rotating
+    flipV: false, // Mirror top to bottom, after rotating
+};
+
+/**
+ * Tells whether a transform leaves the image untouched.
+ * @param {Object} transform - See DEFAULT_TRANSFORM.
+ * @returns {boolean} True when there is nothing to crop, rotate or flip.
+ */
+export const isIdentityTransform = ({ crop, rotation, flipH, flipV }) =>
+    !crop && rotation % 360 === 0 && !flipH && !flipV;
+
+/**
+ * Number of clockwise quarter turns of a rotation, from 0 to 3.
+ */
+const quarterTurns = (rotation) => (((Math.round(rotation / 90) % 4) + 4) % 4);
+
+/**
+ * Finds the crop rectangle in pixels, keeping at least one pixel.
+ */
+const cropRect = (crop, width, height) => {
+    if (!crop) {
+        return { x: 0, y: 0, width, height };
+    }
+    const x = Math.min(width - 1, Math.max(0, Math.floor(crop.x * width)));
+    const y = Math.min(height - 1, Math.max(0, Math.floor(crop.y * height)));
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(width - x, Math.round(crop.width * width))),
+        height: Math.max(1, Math.min(height - y, Math.round(crop.height * height))),
+    };
+};
+
+/**
+ * Calculates the size of an image after the transform, without touching its pixels.
+ * @param {number} width - Source width in pixels.
+ * @param {number} height - Source height in pixels.
+ * @param {Object} [transform] - See DEFAULT_TRANSFORM.
+ * @returns {{width: number, height: number}} The transformed size.
+ */
+export const transformedSize = (width, height, transform) => {
+    const { crop, rotation } = { ...DEFAULT_TRANSFORM, ...transform };
+    const region = cropRect(crop, width, height);
+    return quarterTurns(rotation) % 2
+        ? { width: region.height, height: region.width }
+        : { width: region.width, height: region.height };
+};
+
+/**
+ * Crops, rotates and flips an image.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels.
+ * @param {Object} transform - See DEFAULT_TRANSFORM.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} A new, transformed image.
+ */
+export const transformImageData = (imageData, transform) => {
+    const { crop, rotation, flipH, flipV } = { ...DEFAULT_TRANSFORM, ...transform };
+    const region = cropRect(crop, imageData.width, imageData.height);
+    const turns = quarterTurns(rotation);
+    const width = turns % 2 ? region.height : region.width;
+    const height = turns % 2 ? region.width : region.height;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Undo the flips, then the rotation, to find the region pixel that lands here
+            const u = flipH ? width - 1 - x : x;
+            const v = flipV ? height - 1 - y : y;
+            let sx = u;
+            let sy = v;
+            if (turns === 1) {
+                sx = v;
+                sy = region.height - 1 - u;
+            } else if (turns === 2) {
+                sx = region.width - 1 - u;
+                sy = region.height - 1 - v;
+            } else if (turns === 3) {
+                sx = region.width - 1 - v;
+                sy = u;
+            }
+            const source = ((region.y + sy) * imageData.width + region.x + sx) * 4;
+            data.set(imageData.data.subarray(source, source + 4), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+/**
+ * Calculates how wide the whole source has to be read for the transformed region to come out
+ * at least the given width.
+ * @param {number} regionWidth - Width in pixels wanted for the transformed region.
+ * @param {Object} [transform] - See DEFAULT_TRANSFORM.
+ * @param {number} imageWidth - Source width in pixels.
+ * @param {number} imageHeight - Source height in pixels.
+ * @returns {number} The width to read the source at.
+ */
+export const sourceWidthFor = (regionWidth, transform, imageWidth, imageHeight) => {
+    const { crop, rotation } = { ...DEFAULT_TRANSFORM, ...transform };
+    // After a quarter turn the output width comes from the source height
+    const fraction = quarterTurns(rotation) % 2
+        ? (crop ? crop.height : 1) * (imageHeight / imageWidth)
+        : (crop ? crop.width : 1);
+    return Math.ceil(regionWidth / fraction);
+};
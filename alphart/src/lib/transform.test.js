@@ -0,0 +1,53 @@
+import {
+  transformImageData, transformedSize, sourceWidthFor, isIdentityTransform, DEFAULT_TRANSFORM,
+} from './transform.js';
+
+// 3x2 image whose red channel numbers the pixels row by row: 0 1 2 / 3 4 5
+const image = {
+  width: 3,
+  height: 2,
+  data: new Uint8ClampedArray([0, 1, 2, 3, 4, 5].flatMap((i) => [i, 0, 0, 255])),
+};
+
+// Lists the pixel numbers of an image, row by row
+const numbers = ({ width, height, data }) => {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(Array.from({ length: width }, (_, x) => data[(y * width + x) * 4]));
+  }
+  return rows;
+};
+
+test('crops to a region given as fractions', () => {
+  const crop = { x: 1 / 3, y: 0, width: 2 / 3, height: 0.5 };
+  expect(numbers(transformImageData(image, { crop }))).toEqual([[1, 2]]);
+});
+
+test('rotates by quarter turns', () => {
+  expect(numbers(transformImageData(image, { rotation: 90 }))).toEqual([[3, 0], [4, 1], [5, 2]]);
+  expect(numbers(transformImageData(image, { rotation: 180 }))).toEqual([[5, 4, 3], [2, 1, 0]]);
+  expect(numbers(transformImageData(image, { rotation: 270 }))).toEqual([[2, 5], [1, 4], [0, 3]]);
+});
+
+test('flips after rotating', () => {
+  expect(numbers(transformImageData(image, { flipH: true }))).toEqual([[2, 1, 0], [5, 4, 3]]);
+  expect(numbers(transformImageData(image, { flipV: true }))).toEqual([[3, 4, 5], [0, 1, 2]]);
+  expect(numbers(transformImageData(image, { rotation: 90, flipH: true }))).toEqual([[0, 3], [1, 4], [2, 5]]);
+});
+
+test('reads wider sources for small crops and turned images', () => {
+  expect(sourceWidthFor(800, null, 1000, 500)).toBe(800);
+  expect(sourceWidthFor(800, { crop: { x: 0, y: 0, width: 0.5, height: 1 } }, 1000, 500)).toBe(1600);
+  expect(sourceWidthFor(800, { rotation: 90 }, 1000, 500)).toBe(1600);
+});
+
+test('recognizes the identity transform', () => {
+  expect(isIdentityTransform(DEFAULT_TRANSFORM)).toBe(true);
+  expect(isIdentityTransform({ ...DEFAULT_TRANSFORM, rotation: 360 })).toBe(true);
+  expect(isIdentityTransform({ ...DEFAULT_TRANSFORM, flipV: true })).toBe(false);
+});
+
+test('predicts the transformed size', () => {
+  expect(transformedSize(300, 200, { rotation: 90 })).toEqual({ width: 200, height: 300 });
+  expect(transformedSize(300, 200, { crop: { x: 0.5, y: 0, width: 0.5, height: 0.5 } })).toEqual({ width: 150, height: 100 });
+});
@@ -0,0 +1,111 @@
+// Samples the frames of a video file through a <video> element.
+import { readImagePixels } from './imageLoader.js';
+
+// Longest wait for the video to load or to seek to a frame, in milliseconds
+const VIDEO_EVENT_TIMEOUT = 10000;
+
+/**
+ * Builds the error a cancelled sampling rejects with. Like an aborted fetch, its name is 'AbortError'.
+ * @returns {Error} The error.
+ */
+const abortedError = () => {
+    const error = new Error('Video sampling cancelled.');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Waits for an event to fire once on an element.
+ * @param {HTMLElement} element - The element.
+ * @param {string} type - The event to wait for.
+ * @param {AbortSignal} [signal] - Stops the wait.
+ * @returns {Promise<Event>} Resolves with the event. Rejects if the element reports an error first,
+ *     with a TimeoutError if the event takes too long, or with an AbortError when the signal aborts.
+ */
+const once = (element, type, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(abortedError());
+        return;
+    }
+    const cleanup = () => {
+        clearTimeout(timer);
+        element.removeEventListener(type, onEvent);
+        element.removeEventListener('error', onError);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    };
+    const fail = (error) => {
+        cleanup();
+        reject(error);
+    };
+    const onEvent = (event) => {
+        cleanup();
+        resolve(event);
+    };
+    const onError = () => fail(new Error('Could not read the video. Please try a WebM or MP4 file.'));
+    const onAbort = () => fail(abortedError());
+    const timer = setTimeout(() => {
+        const error = new Error('The video stopped responding while its frames were read. Please try another file.');
+        error.name = 'TimeoutError';
+        fail(error);
+    }, VIDEO_EVENT_TIMEOUT);
+    element.addEventListener(type, onEvent);
+    element.addEventListener('error', onError);
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+});
+
+/**
+ * Samples a video at a fixed frame rate.
+ * @param {Blob} file - The video file.
+ * @param {Object} options
+ * @param {number} options.fps - Frames sampled per second of video.
+ * @param {number} options.maxFrames - Stop after this many frames.
+ * @param {number} options.maxWidth - Frames are downscaled to at most this width.
+ * @param {HTMLCanvasElement} options.canvas - Canvas used to read the frames.
+ * @param {Function} [options.onProgress] - Called with the finished fraction (0-1).
+ * @param {AbortSignal} [options.signal] - Stops the sampling; the promise then rejects with an AbortError.
+ * @returns {Promise<{frames: import('./animation').AnimationFrame[], poster: string}>}
+ *     The frames, and a data URL of the first one for previews.
+ * @throws {Error} When the video can't be read, stops responding (a TimeoutError), or has no known length.
+ */
+export const sampleVideoFrames = async (file, { fps, maxFrames, maxWidth, canvas, onProgress, signal }) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.playsInline = true;
+
+    try {
+        const loaded = once(video, 'loadeddata', signal);
+        video.src = url;
+        await loaded;
+
+        // Live recordings (MediaRecorder WebM, say) often have no length to sample frames from
+        if (!Number.isFinite(video.duration)) {
+            throw new Error('This video does not report its length. Please save it as an MP4 or WebM file first.');
+        }
+        const count = Math.max(1, Math.min(maxFrames, Math.floor(video.duration * fps)));
+        const frames = [];
+        let poster = null;
+        for (let i = 0; i < count; i++) {
+            const seeked = once(video, 'seeked', signal);
+            video.currentTime = i / fps;
+            await seeked;
+            frames.push({ imageData: readImagePixels(video, canvas, maxWidth), delay: 1000 / fps });
+            if (i === 0) {
+                poster = canvas.toDataURL('image/jpeg');
+            }
+            if (onProgress) {
+                onProgress((i + 1) / count);
+            }
+        }
+        return { frames, poster };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+    }
+};
@@ -0,0 +1,90 @@
+import { sampleVideoFrames } from './videoFrames.js';
+import { readImagePixels } from './imageLoader.js';
+
+// jsdom can't draw video frames; every frame reads as a single pixel
+jest.mock('./imageLoader.js', () => ({
+  ...jest.requireActual('./imageLoader.js'),
+  readImagePixels: jest.fn(),
+}));
+
+// jsdom can't play media, so a stand-in video loads at once and, unless told not to, seeks at once
+class FakeVideo extends EventTarget {
+  constructor({ duration = 1, seeks = true } = {}) {
+    super();
+    this.duration = duration;
+    this.seeks = seeks;
+    this.seekTimes = [];
+    this.onSeek = () => {};
+  }
+
+  set src(url) {
+    Promise.resolve().then(() => this.dispatchEvent(new Event('loadeddata')));
+  }
+
+  set currentTime(time) {
+    this.seekTimes.push(time);
+    this.onSeek(time);
+    if (this.seeks) {
+      Promise.resolve().then(() => this.dispatchEvent(new Event('seeked')));
+    }
+  }
+
+  removeAttribute() {}
+
+  load() {}
+}
+
+const canvas = { toDataURL: () => 'data:image/jpeg;base64,' };
+const file = new Blob(['video'], { type: 'video/webm' });
+
+// Samples the given stand-in video at 2 frames per second
+const sample = (video, options) => {
+  jest.spyOn(document, 'createElement').mockReturnValue(video);
+  return sampleVideoFrames(file, { fps: 2, maxFrames: 10, maxWidth: 8, canvas, ...options });
+};
+
+beforeEach(() => {
+  URL.createObjectURL = jest.fn(() => 'blob:video');
+  URL.revokeObjectURL = jest.fn();
+  readImagePixels.mockReturnValue({ width: 1, height: 1, data: new Uint8ClampedArray(4) });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('samples the video at the frame rate', async () => {
+  const video = new FakeVideo({ duration: 1.5 });
+  const { frames, poster } = await sample(video);
+  expect(video.seekTimes).toEqual([0, 0.5, 1]);
+  expect(frames.map(({ delay }) => delay)).toEqual([500, 500, 500]);
+  expect(poster).toBe('data:image/jpeg;base64,');
+});
+
+test('rejects videos without a known length', async () => {
+  const video = new FakeVideo({ duration: Infinity });
+  await expect(sample(video)).rejects.toThrow('does not report its length');
+  expect(video.seekTimes).toEqual([]);
+});
+
+test('gives up on a seek that never finishes', async () => {
+  jest.useFakeTimers();
+  const video = new FakeVideo({ seeks: false });
+  const seeking = new Promise((resolve) => { video.onSeek = resolve; });
+  const result = sample(video);
+  await seeking;
+  jest.advanceTimersByTime(10000);
+  await expect(result).rejects.toMatchObject({ name: 'TimeoutError' });
+});
+
+test('stops seeking once aborted', async () => {
+  const controller = new AbortController();
+  const video = new FakeVideo({ seeks: false });
+  const seeking = new Promise((resolve) => { video.onSeek = resolve; });
+  const result = sample(video, { signal: controller.signal });
+  await seeking;
+  controller.abort();
+  await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+  expect(video.seekTimes).toEqual([0]);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:video');
+});
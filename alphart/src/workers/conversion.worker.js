@@ -0,0 +1,57 @@
+// Web Worker that downscales and converts images and animations off the main thread.
+//
+// Messages in:  { type: 'image', version, image } | { type: 'frames', version, frames }
+//             | { type: 'convert', id, version, options, maxWidth } | { type: 'convert-frames', id, version, options }
+// Messages out: { id, type: 'progress', progress } | { id, type: 'done', result } | { id, type: 'error', message }
+
+import { renderAsciiGrid } from '../lib/asciiRenderer';
+import { renderFrames } from '../lib/animation';
+import { readImagePixels } from '../lib/imageLoader';
+import { downscaleImageData } from '../lib/resample';
+
+// Send at most one progress message per this many milliseconds
+const PROGRESS_INTERVAL = 50;
+
+// The worker's global scope, which receives and posts the messages
+const ctx = globalThis;
+
+// The decoded image and its pixels read at the last requested width, or the frames of an animation
+let current = null;
+
+ctx.addEventListener('message', ({ data }) => {
+    if (data.type === 'image' || data.type === 'frames') {
+        current = { version: data.version, image: data.image, frames: data.frames, maxWidth: null, imageData: null };
+        return;
+    }
+
+    const { id, version, options, maxWidth } = data;
+    try {
+        if (!current || current.version !== version) {
+            throw new Error('The image to convert was not received.');
+        }
+
+        let lastReport = 0;
+        const onProgress = (progress) => {
+            const now = Date.now();
+            if (now - lastReport >= PROGRESS_INTERVAL) {
+                lastReport = now;
+                ctx.postMessage({ id, type: 'progress', progress });
+            }
+        };
+
+        if (data.type === 'convert-frames') {
+            ctx.postMessage({ id, type: 'done', result: renderFrames(current.frames, options, onProgress) });
+            return;
+        }
+
+        // Only read the pixels again when the output size needs a different working size. They are read at
+        // full size and downscaled with the box filter, not the canvas, so the command line gets the same art
+        if (current.maxWidth !== maxWidth) {
+            current.imageData = downscaleImageData(readImagePixels(current.image, new OffscreenCanvas(1, 1)), maxWidth);
+            current.maxWidth = maxWidth;
+        }
+        ctx.postMessage({ id, type: 'done', result: renderAsciiGrid(current.imageData, { ...options, onProgress }) });
+    } catch (error) {
+        ctx.postMessage({ id, type: 'error', message: error.message });
+    }
+});